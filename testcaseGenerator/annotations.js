@@ -0,0 +1,254 @@
+/**
+ * Inline test-authoring directives written as comments in reference solutions:
+ *
+ *   // @expect output "Free Delivery"
+ *   // @expect variable total = 425
+ *   // @test fn add(2, 3) => 5
+ *   // @hidden [variable total]
+ *   // @weight 3 [fn add]
+ *   // @skip condition orderAmount
+ *
+ * @hidden, @weight and @skip take an optional target (`<kind> <name>`). Without
+ * one they apply to whatever the next line of code (or, for a trailing
+ * comment, the same line) declares.
+ */
+
+const TARGET_FIELDS = {
+  variable: ["variable"],
+  fn: ["functionName"],
+  function: ["functionName"],
+  class: ["className"],
+  object: ["objectName"],
+  condition: ["variable"],
+  output: ["expectedOutput"],
+  any: ["variable", "functionName", "className", "objectName"]
+};
+
+const TARGET_TYPES = {
+  variable: ["variable"],
+  fn: ["function"],
+  function: ["function"],
+  class: ["class"],
+  object: ["object"],
+  condition: ["condition"],
+  output: ["output"]
+};
+
+/**
+ * Parse a directive value: JSON when possible, single-quoted strings, else raw text
+ * @param {string} text
+ * @returns {*}
+ */
+export function parseValue(text) {
+  const trimmed = text.trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    const quoted = trimmed.match(/^'(.*)'$/);
+    return quoted ? quoted[1] : trimmed;
+  }
+}
+
+export class AnnotationParser {
+  /**
+   * @param {Array} comments - Babel AST comments
+   * @param {Object} ast - Babel AST, used to resolve untargeted directives
+   * @param {string} code - Source code
+   * @returns {Object} { directives, errors }
+   */
+  parse(comments, ast, code = "") {
+    const directives = [];
+    const errors = [];
+    const declarationsByLine = ast ? this.declarationsByLine(ast) : new Map();
+    const codeLines = [...declarationsByLine.keys()].sort((a, b) => a - b);
+    const functions = ast ? this.topLevelFunctions(ast) : null;
+
+    for (const comment of comments || []) {
+      const lines = comment.value.split("\n");
+      lines.forEach((raw, offset) => {
+        const text = raw.replace(/^\s*\*?\s*/, "").trim();
+        if (!text.startsWith("@")) return;
+
+        const line = comment.loc.start.line + offset;
+        try {
+          const directive = this.parseDirective(text);
+          if (!directive) return;
+          directive.line = line;
+          // A test of a function the validator cannot find could never pass
+          if (directive.kind === "test" && functions && !functions.has(directive.name)) {
+            throw new Error(`no top-level function ${directive.name} in this file`);
+          }
+          if (directive.needsTarget && !directive.target) {
+            // Trailing comments describe their own line, others the next one
+            const lineStart = code.lastIndexOf("\n", comment.start - 1) + 1;
+            const trailing = code.slice(lineStart, comment.start).trim() !== "";
+            const ownLine = trailing && declarationsByLine.has(line) ? line : null;
+            const nextLine = ownLine ?? codeLines.find(l => l > comment.loc.end.line);
+            const names = declarationsByLine.get(nextLine) || [];
+            if (names.length === 0) throw new Error("no declaration follows to apply it to");
+            directive.target = { kind: "any", names };
+          }
+          delete directive.needsTarget;
+          directives.push(directive);
+        } catch (err) {
+          errors.push({ line, directive: text, message: err.message });
+        }
+      });
+    }
+
+    return { directives, errors };
+  }
+
+  parseDirective(text) {
+    const [, keyword, rest = ""] = text.match(/^@(\w+)\s*(.*)$/) || [];
+    switch (keyword) {
+      case "expect": {
+        const output = rest.match(/^output\s+(.+)$/);
+        if (output) return { kind: "expect", type: "output", value: String(parseValue(output[1])) };
+        const variable = rest.match(/^variable\s+([A-Za-z_$][\w$]*)\s*=\s*(.+)$/);
+        if (variable) return { kind: "expect", type: "variable", name: variable[1], value: parseValue(variable[2]) };
+        throw new Error('expected `@expect output "<text>"` or `@expect variable <name> = <value>`');
+      }
+      case "test": {
+        const call = rest.match(/^fn\s+([A-Za-z_$][\w$]*)\s*\((.*)\)\s*=>\s*(.+)$/);
+        if (!call) throw new Error("expected `@test fn <name>(<args>) => <result>`");
+        let input;
+        try {
+          input = JSON.parse(`[${call[2]}]`);
+        } catch {
+          throw new Error(`arguments must be JSON values: ${call[2]}`);
+        }
+        return { kind: "test", name: call[1], input, expected: parseValue(call[3]) };
+      }
+      case "hidden":
+        return { kind: "hidden", target: this.parseTarget(rest), needsTarget: true };
+      case "weight": {
+        const [, weight, target = ""] = rest.match(/^(\d+(?:\.\d+)?)\s*(.*)$/) || [];
+        if (!weight) throw new Error("expected `@weight <number> [<kind> <name>]`");
+        return { kind: "weight", weight: Number(weight), target: this.parseTarget(target), needsTarget: true };
+      }
+      case "skip": {
+        const target = this.parseTarget(rest);
+        return { kind: "skip", target, needsTarget: true };
+      }
+      default:
+        // Not ours (e.g. JSDoc tags)
+        return null;
+    }
+  }
+
+  parseTarget(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return null;
+    const [, kind, name] = trimmed.match(/^(\w+)\s+(.+)$/) || [];
+    if (!kind || !TARGET_FIELDS[kind]) throw new Error(`unknown target "${trimmed}"`);
+    return { kind, names: [kind === "output" ? String(parseValue(name)) : name.trim()] };
+  }
+
+  // Names of functions declared at the top level, the ones tests can call
+  topLevelFunctions(ast) {
+    const names = new Set();
+    for (const node of ast.program.body) {
+      if (node.type === "FunctionDeclaration" && node.id) names.add(node.id.name);
+      if (node.type !== "VariableDeclaration") continue;
+      for (const declarator of node.declarations) {
+        if (declarator.id.type === "Identifier" && /Function/.test(declarator.init?.type ?? "")) names.add(declarator.id.name);
+      }
+    }
+    return names;
+  }
+
+  // Line -> names declared on it (variables, functions, classes)
+  declarationsByLine(ast) {
+    const byLine = new Map();
+    const add = (line, name) => {
+      if (!byLine.has(line)) byLine.set(line, []);
+      if (name) byLine.get(line).push(name);
+    };
+
+    const visit = (node) => {
+      if (!node || typeof node.type !== "string") return;
+      if (node.loc && /Statement|Declaration/.test(node.type)) add(node.loc.start.line, null);
+      if (node.type === "VariableDeclarator" && node.id.type === "Identifier") add(node.loc.start.line, node.id.name);
+      if ((node.type === "FunctionDeclaration" || node.type === "ClassDeclaration") && node.id) {
+        add(node.loc.start.line, node.id.name);
+      }
+      for (const key of Object.keys(node)) {
+        if (key === "loc" || key.endsWith("Comments")) continue;
+        const child = node[key];
+        if (Array.isArray(child)) child.forEach(visit);
+        else if (child && typeof child === "object") visit(child);
+      }
+    };
+    visit(ast.program);
+    return byLine;
+  }
+}
+
+function matchesTarget(test, target) {
+  const types = TARGET_TYPES[target.kind];
+  if (types && !types.includes(test.type)) return false;
+  return TARGET_FIELDS[target.kind].some(field => target.names.includes(test[field]));
+}
+
+/**
+ * Apply directives to a generated structure. Safe to call more than once.
+ * @param {Array} tests - Generated tests
+ * @param {Array} directives - From AnnotationParser.parse
+ * @returns {Array} Updated tests
+ */
+export function applyDirectives(tests, directives) {
+  let result = [...tests];
+
+  for (const d of directives) {
+    if (d.kind === "expect" && d.type === "output") {
+      const existing = result.find(t => t.type === "output" && t.expectedOutput === d.value);
+      if (existing) existing.source = "annotation";
+      else result.push({
+        type: "output",
+        description: `Should print '${d.value}' using console.log`,
+        expectedOutput: d.value,
+        source: "annotation"
+      });
+    } else if (d.kind === "expect" && d.type === "variable") {
+      // Overrides whatever value was generated
+      result = result.filter(t => !(t.type === "variable" && t.variable === d.name && t.source !== "annotation"));
+      const existing = result.find(t => t.type === "variable" && t.variable === d.name);
+      const test = {
+        type: "variable",
+        description: `Variable '${d.name}' should have final value ${JSON.stringify(d.value)}`,
+        variable: d.name,
+        expectedValue: d.value,
+        source: "annotation"
+      };
+      if (existing) Object.assign(existing, test);
+      else result.push(test);
+    } else if (d.kind === "test") {
+      let fnTest = result.find(t => t.type === "function" && t.functionName === d.name);
+      if (!fnTest) {
+        fnTest = {
+          type: "function",
+          description: `Function '${d.name}' should return the expected results`,
+          functionName: d.name
+        };
+        result.push(fnTest);
+      }
+      const key = JSON.stringify(d.input);
+      const cases = (fnTest.testCases || []).filter(tc => JSON.stringify(tc.input) !== key);
+      cases.push({ input: d.input, expected: d.expected, source: "annotation" });
+      fnTest.testCases = cases;
+    }
+  }
+
+  for (const d of directives) {
+    if (d.kind === "skip") {
+      result = result.filter(t => !matchesTarget(t, d.target));
+    } else if (d.kind === "hidden") {
+      result.filter(t => matchesTarget(t, d.target)).forEach(t => { t.hidden = true; });
+    } else if (d.kind === "weight") {
+      result.filter(t => matchesTarget(t, d.target)).forEach(t => { t.weight = d.weight; });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,166 @@
+import express from "express";
+import cors from "cors";
+import multer from "multer";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { generateInWorker, GenerationTimeoutError } from "../testcaseGenerator.js";
+import { validateInWorker } from "../../testcaseValidator/validator.js";
+import { assertValidConfig, ConfigError } from "../../testcaseValidator/configSchema.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIGS_DIR = path.join(__dirname, "..", "..", "testcaseValidator", "configs");
+const DEFAULT_PORT = 3000;
+const ID_PATTERN = /^[\w-]+$/;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Multipart fields arrive as strings
+function parseJSONField(value, name) {
+  if (value === undefined || typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw httpError(400, `${name} must be valid JSON`);
+  }
+}
+
+/**
+ * Stored configs live in the validator's configs directory, as `<id>.json`
+ * or `<id>/testcase.json`, so mocha picks them up too
+ */
+class ConfigStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  pathFor(id) {
+    if (!ID_PATTERN.test(id)) throw httpError(400, `Invalid config id "${id}" (letters, digits, - and _ only)`);
+    const nested = path.join(this.directory, id, "testcase.json");
+    return fs.existsSync(nested) ? nested : path.join(this.directory, `${id}.json`);
+  }
+
+  async list() {
+    if (!fs.existsSync(this.directory)) return [];
+    const configs = [];
+    for (const entry of await fs.promises.readdir(this.directory, { withFileTypes: true })) {
+      const id = entry.isDirectory() ? entry.name : path.basename(entry.name, ".json");
+      if (entry.isFile() && !entry.name.endsWith(".json")) continue;
+      if (entry.isDirectory() && !fs.existsSync(path.join(this.directory, entry.name, "testcase.json"))) continue;
+      try {
+        const filepath = this.pathFor(id);
+        const config = JSON.parse(await fs.promises.readFile(filepath, "utf-8"));
+        const files = Object.entries(config.Code_Validation || {});
+        configs.push({
+          id,
+          files: files.map(([name]) => name),
+          tests: files.reduce((sum, [, block]) => sum + (block.structure || []).length, 0),
+          updatedAt: (await fs.promises.stat(filepath)).mtime.toISOString()
+        });
+      } catch {
+        // Unreadable or oddly named files are not served
+      }
+    }
+    return configs;
+  }
+
+  async get(id) {
+    const filepath = this.pathFor(id);
+    if (!fs.existsSync(filepath)) throw httpError(404, `Config "${id}" not found`);
+    return JSON.parse(await fs.promises.readFile(filepath, "utf-8"));
+  }
+
+  async save(id, config) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(this.pathFor(id), JSON.stringify(config, null, 2), "utf-8");
+  }
+}
+
+/**
+ * @param {Object} options - { configsDir, validationTimeoutMs, generationTimeoutMs }
+ * @returns {Object} Express app
+ */
+export function createApp(options = {}) {
+  const store = new ConfigStore(options.configsDir || DEFAULT_CONFIGS_DIR);
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+  const app = express();
+
+  app.use(cors());
+  app.use(express.json({ limit: "2mb" }));
+
+  // Async route errors go to the error handler below
+  const route = (handler) => (req, res, next) => Promise.resolve(handler(req, res)).catch(next);
+
+  app.get("/api/health", (req, res) => res.json({ status: "ok" }));
+
+  // Files as multipart uploads (field "files"), or JSON: { files: { name: content } } or { code, language }
+  app.post("/api/generate", upload.array("files"), route(async (req, res) => {
+    let files = parseJSONField(req.body.files, "files") || {};
+    for (const file of req.files || []) files[file.originalname] = file.buffer.toString("utf-8");
+    if (Object.keys(files).length === 0 && req.body.code) {
+      files = { [`script.${req.body.language || "js"}`]: req.body.code };
+    }
+    if (Object.keys(files).length === 0) throw httpError(400, "Send files (multipart or JSON) or code");
+
+    // The reference runs in a worker, so one that never finishes cannot block the server
+    const { config, statistics } = await generateInWorker(files, parseJSONField(req.body.options, "options") || {}, {
+      timeoutMs: options.generationTimeoutMs
+    });
+    if (req.body.id) {
+      await store.save(req.body.id, config);
+      res.status(201);
+    }
+    res.json({ id: req.body.id || null, statistics, config });
+  }));
+
+  // { configId, files: { name: content } } or { configId, code } for the script alone
+  app.post("/api/validate", route(async (req, res) => {
+    const { configId, code } = req.body;
+    if (!configId) throw httpError(400, "configId is required");
+    const submission = req.body.files || (typeof code === "string" ? { "script.js": code } : null);
+    if (!submission) throw httpError(400, "Send the submission as files or code");
+
+    const config = await store.get(configId);
+    const result = await validateInWorker(config, submission, { timeoutMs: options.validationTimeoutMs });
+    res.json({ configId, ...result });
+  }));
+
+  app.get("/api/configs", route(async (req, res) => {
+    res.json({ configs: await store.list() });
+  }));
+
+  app.get("/api/configs/:id", route(async (req, res) => {
+    res.json(await store.get(req.params.id));
+  }));
+
+  app.put("/api/configs/:id", route(async (req, res) => {
+    const config = assertValidConfig(req.body, `Config "${req.params.id}"`);
+    const existed = fs.existsSync(store.pathFor(req.params.id));
+    await store.save(req.params.id, config);
+    res.status(existed ? 200 : 201).json(config);
+  }));
+
+  app.use((req, res) => res.status(404).json({ error: `No route for ${req.method} ${req.path}` }));
+
+  app.use((err, req, res, next) => {
+    if (err instanceof ConfigError) {
+      return res.status(400).json({ error: err.message, problems: err.problems });
+    }
+    if (err instanceof GenerationTimeoutError) return res.status(422).json({ error: err.message });
+    const status = err.status || (err instanceof SyntaxError ? 400 : 500);
+    res.status(status).json({ error: err.message });
+  });
+
+  return app;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createApp({ configsDir: process.env.CONFIGS_DIR }).listen(port, () => {
+    console.log(`Testcase API listening on http://localhost:${port}`);
+  });
+}
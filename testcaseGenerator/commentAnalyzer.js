@@ -0,0 +1,198 @@
+import * as parser from "@babel/parser";
+
+/**
+ * Sorts a file's comments into commented-out code and explanations.
+ *
+ * Every comment, line or block, own-line or trailing, goes through the
+ * classifiers in turn and the first one that claims it decides what it is.
+ * The built-in ones recognize commented-out code by parsing it, then apply
+ * the problem's rules:
+ *
+ *   new CommentAnalyzer({ rules: [
+ *     { keyword: "Final Bill" },
+ *     { pattern: "^expected:", flags: "i" },
+ *     { keyword: "eslint", type: "ignore" }
+ *   ] })
+ *
+ * Rules without a type mark matching comments as explanations.
+ */
+
+const RULE_TYPES = ["explanation", "ignore"];
+
+// Statements that make a comment read as code rather than prose ("Note: see
+// below" parses as a labeled statement, "total" as an expression)
+const CODE_STATEMENTS = new Set([
+  "VariableDeclaration", "FunctionDeclaration", "ClassDeclaration", "IfStatement", "ForStatement",
+  "ForOfStatement", "ForInStatement", "WhileStatement", "DoWhileStatement", "SwitchStatement",
+  "ReturnStatement", "ThrowStatement", "TryStatement", "ImportDeclaration", "ExportNamedDeclaration"
+]);
+const CODE_EXPRESSIONS = new Set([
+  "CallExpression", "AssignmentExpression", "UpdateExpression", "AwaitExpression", "NewExpression"
+]);
+
+export class CommentAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {Array} options.rules - { keyword } or { pattern, flags }, with an
+   *   optional type ("explanation" or "ignore")
+   * @throws {Error} When a rule is malformed
+   */
+  constructor({ rules = [] } = {}) {
+    this.setRules(rules);
+    this.classifiers = [];
+  }
+
+  /**
+   * Replace the keyword and regex rules, e.g. for another problem
+   * @param {Array} rules - As for the constructor
+   * @throws {Error} When a rule is malformed
+   */
+  setRules(rules) {
+    this.rules = rules.map(compileRule);
+  }
+
+  /**
+   * Add a classifier ahead of the built-in ones. It receives
+   * { text, block, trailing, line } and returns null to pass the comment on,
+   * an entry ({ type, content, ... }) or an array of entries to claim it
+   * (an empty array claims it without recording anything).
+   * @param {Function} classifier
+   * @returns {CommentAnalyzer} this
+   */
+  use(classifier) {
+    this.classifiers.push(classifier);
+    return this;
+  }
+
+  /**
+   * @param {Array} comments - Babel AST comments
+   * @param {string} code - Source the comments come from
+   * @returns {Array} Entries as { type, line, content, trailing, ... }
+   */
+  analyze(comments, code) {
+    const entries = [];
+    const classifiers = [...this.classifiers, (c) => this.classifyCode(c), (c) => this.classifyByRules(c)];
+
+    for (const raw of comments || []) {
+      const comment = this.describe(raw, code);
+      if (!comment.text) continue;
+
+      for (const classify of classifiers) {
+        const result = classify(comment);
+        if (result == null) continue;
+        for (const entry of [].concat(result)) {
+          entries.push({ line: comment.line, trailing: comment.trailing, content: comment.text, ...entry });
+        }
+        break;
+      }
+    }
+    return entries;
+  }
+
+  describe(comment, code) {
+    const block = comment.type === "CommentBlock";
+    const text = comment.value.split("\n")
+      .map(line => block ? line.replace(/^\s*\*?\s?/, "") : line)
+      // Test-authoring directives are handled by AnnotationParser
+      .filter(line => !line.trim().startsWith("@"))
+      .join("\n")
+      .trim();
+    const lineStart = code.lastIndexOf("\n", comment.start - 1) + 1;
+    return {
+      text,
+      block,
+      trailing: code.slice(lineStart, comment.start).trim() !== "",
+      line: comment.loc.start.line
+    };
+  }
+
+  // Comments that parse as JavaScript: one entry per declared variable or
+  // console.log call, "code" for anything else
+  classifyCode(comment) {
+    const program = parseSnippet(comment.text);
+    if (!program) return null;
+
+    const entries = [];
+    for (const statement of program.body) {
+      const content = comment.text.slice(statement.start, statement.end);
+      const line = comment.line + statement.loc.start.line - 1;
+      if (statement.type === "VariableDeclaration") {
+        for (const declarator of statement.declarations) {
+          if (declarator.id.type !== "Identifier" || !declarator.init) continue;
+          entries.push({
+            type: "variable",
+            line,
+            content,
+            name: declarator.id.name,
+            value: comment.text.slice(declarator.init.start, declarator.init.end)
+          });
+        }
+      } else if (isConsoleLog(statement)) {
+        entries.push({ type: "output", line, content, output: describeOutput(statement.expression.arguments, comment.text) });
+      } else {
+        entries.push({ type: "code", line, content });
+      }
+    }
+    return entries;
+  }
+
+  classifyByRules(comment) {
+    const rule = this.rules.find(r => r.test(comment.text));
+    if (!rule) return null;
+    return rule.type === "ignore" ? [] : { type: rule.type };
+  }
+}
+
+function compileRule(rule) {
+  const type = rule.type || "explanation";
+  if (!RULE_TYPES.includes(type)) {
+    throw new Error(`Comment rule type must be one of ${RULE_TYPES.join(", ")}, got "${rule.type}"`);
+  }
+  if (typeof rule.keyword === "string" && rule.keyword) {
+    const keyword = rule.keyword.toLowerCase();
+    return { type, test: (text) => text.toLowerCase().includes(keyword) };
+  }
+  if (rule.pattern instanceof RegExp || typeof rule.pattern === "string") {
+    let regex;
+    try {
+      regex = rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern, rule.flags);
+    } catch (err) {
+      throw new Error(`Comment rule pattern ${JSON.stringify(rule.pattern)} is not a valid regular expression: ${err.message}`);
+    }
+    return { type, test: (text) => { regex.lastIndex = 0; return regex.test(text); } };
+  }
+  throw new Error(`Comment rule needs a "keyword" or a "pattern": ${JSON.stringify(rule)}`);
+}
+
+// The snippet's program when it is JavaScript made only of code-like statements
+function parseSnippet(text) {
+  let ast;
+  try {
+    ast = parser.parse(text, { sourceType: "module", allowReturnOutsideFunction: true, allowAwaitOutsideFunction: true });
+  } catch {
+    return null;
+  }
+  const { body } = ast.program;
+  const codeLike = (statement) => CODE_STATEMENTS.has(statement.type) ||
+    (statement.type === "ExpressionStatement" && CODE_EXPRESSIONS.has(statement.expression.type));
+  return body.length > 0 && body.every(codeLike) ? ast.program : null;
+}
+
+function isConsoleLog(statement) {
+  const callee = statement.type === "ExpressionStatement" && statement.expression.type === "CallExpression"
+    ? statement.expression.callee
+    : null;
+  return callee?.type === "MemberExpression" && callee.object.name === "console" && callee.property.name === "log";
+}
+
+// What a commented console.log would print, as far as its arguments show:
+// literals by value, anything else as written
+function describeOutput(args, text) {
+  return args.map(arg => {
+    if (arg.type === "StringLiteral" || arg.type === "NumericLiteral" || arg.type === "BooleanLiteral") {
+      return String(arg.value);
+    }
+    if (arg.type === "TemplateLiteral" && arg.expressions.length === 0) return arg.quasis[0].value.cooked;
+    return text.slice(arg.start, arg.end);
+  }).join(" ");
+}
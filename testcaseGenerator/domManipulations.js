@@ -0,0 +1,360 @@
+import { selectorOf, literalValue, resolveFunction } from "./eventEffects.js";
+
+/**
+ * Static analysis of what a script does to the page while it loads: top-level
+ * code, the functions it calls and forEach/for...of loops over
+ * querySelectorAll. Callbacks that run later (listeners, timers) are left to
+ * the event and async tests.
+ *
+ * Manipulations look like
+ *   { type: "insert", selector, tag }                   created <tag> appended/prepended to selector
+ *   { type: "remove", selector }
+ *   { type: "attribute", selector, action, name, value }  set or remove
+ *   { type: "class", selector, action, className }      add, remove or toggle
+ *   { type: "style", selector, property, value }        property in camelCase as written
+ *   { type: "property", selector, property, value }     textContent, innerHTML, value, className
+ *   { type: "query_all", selector }                     the matches are iterated
+ * each with `all` (every element matching selector), `certain` (runs exactly
+ * once whenever the script loads) and `line`. Values are null when they are
+ * not literals.
+ */
+
+const DOM_PROPERTIES = ["textContent", "innerHTML", "value", "className"];
+const CLASS_ACTIONS = ["add", "remove", "toggle"];
+const INSERT_METHODS = ["appendChild", "append", "prepend", "insertBefore"];
+const LIST_METHODS = { querySelectorAll: (arg) => arg, getElementsByClassName: (arg) => `.${arg}`, getElementsByTagName: (arg) => arg };
+
+/**
+ * @param {Object} programPath - Babel path of the Program
+ * @returns {Array} Manipulations in the order the script performs them
+ */
+export function findDOMManipulations(programPath) {
+  const state = { manipulations: [], visited: new Set() };
+  visit(programPath, state, { certain: true, repeated: false, alias: null });
+  return state.manipulations;
+}
+
+// alias: { identifier, selector } for a loop variable standing for each match
+function visit(rootPath, state, context) {
+  const certainAt = (path) => context.certain && !isConditional(path, rootPath);
+  const targetOf = (node, scope) => {
+    if (context.alias && node?.type === "Identifier" &&
+        scope.getBinding(node.name)?.identifier === context.alias.identifier) {
+      return { selector: context.alias.selector, all: true };
+    }
+    const selector = selectorOf(node, scope);
+    return selector ? { selector, all: false } : null;
+  };
+  const record = (path, target, manipulation) => {
+    if (!target) return;
+    state.manipulations.push({
+      ...manipulation,
+      ...target,
+      // Inside a loop only what happens to each match is known to happen once
+      certain: certainAt(path) && (!context.repeated || target.all),
+      line: path.node.loc?.start.line || 0
+    });
+  };
+  const iterate = (path, fnPath, identifier, selector) => {
+    record(path, { selector, all: true }, { type: "query_all" });
+    if (!fnPath || identifier?.type !== "Identifier") return;
+    visit(fnPath, state, { certain: certainAt(path), repeated: true, alias: { identifier, selector } });
+  };
+
+  rootPath.traverse({
+    // Callbacks run later, if at all; forEach callbacks are visited from their call
+    Function: (path) => path.skip(),
+
+    ForOfStatement: (path) => {
+      const selector = listSelectorOf(path.node.right, path.scope);
+      const declarator = path.node.left.declarations?.[0];
+      if (!selector || !declarator) return;
+      iterate(path, path.get("body"), declarator.id, selector);
+      path.skip();
+    },
+
+    CallExpression: (path) => {
+      const callee = path.node.callee;
+      const args = path.node.arguments;
+
+      // A helper called while loading
+      if (callee.type === "Identifier") {
+        const fn = resolveFunction(path.get("callee"));
+        if (fn && !state.visited.has(fn.node)) {
+          state.visited.add(fn.node);
+          visit(fn, state, { certain: certainAt(path), repeated: context.repeated, alias: null });
+        }
+        return;
+      }
+      if (callee.type !== "MemberExpression" || callee.computed) return;
+      const method = callee.property.name;
+
+      if (method === "forEach") {
+        const selector = listSelectorOf(callee.object, path.scope);
+        if (!selector) return;
+        const fn = args[0] ? resolveFunction(path.get("arguments.0")) : null;
+        iterate(path, fn, fn?.node.params?.[0], selector);
+        return;
+      }
+
+      // el.classList.add("active")
+      if (CLASS_ACTIONS.includes(method) && callee.object.type === "MemberExpression" &&
+          callee.object.property.name === "classList") {
+        const target = targetOf(callee.object.object, path.scope);
+        for (const arg of args) {
+          if (arg.type === "StringLiteral") record(path, target, { type: "class", action: method, className: arg.value });
+        }
+        return;
+      }
+
+      if ((method === "setAttribute" || method === "removeAttribute") && args[0]?.type === "StringLiteral") {
+        record(path, targetOf(callee.object, path.scope), {
+          type: "attribute",
+          action: method === "setAttribute" ? "set" : "remove",
+          name: args[0].value,
+          value: method === "setAttribute" && args[1] ? literalValue(args[1]) : null
+        });
+        return;
+      }
+
+      if (INSERT_METHODS.includes(method)) {
+        const parent = targetOf(callee.object, path.scope);
+        for (const arg of method === "insertBefore" ? args.slice(0, 1) : args) {
+          const tag = createdTag(arg, path.scope);
+          if (tag) record(path, parent, { type: "insert", tag });
+        }
+        return;
+      }
+
+      if (method === "remove" && args.length === 0) {
+        record(path, targetOf(callee.object, path.scope), { type: "remove" });
+      } else if (method === "removeChild" && args[0]) {
+        record(path, targetOf(args[0], path.scope), { type: "remove" });
+      }
+    },
+
+    AssignmentExpression: (path) => {
+      const left = path.node.left;
+      if (left.type !== "MemberExpression" || left.computed) return;
+      const value = path.node.operator === "=" ? literalValue(path.node.right) : null;
+
+      // el.style.color = "red"
+      if (left.object.type === "MemberExpression" && left.object.property.name === "style") {
+        record(path, targetOf(left.object.object, path.scope), { type: "style", property: left.property.name, value });
+        return;
+      }
+      if (DOM_PROPERTIES.includes(left.property.name)) {
+        record(path, targetOf(left.object, path.scope), { type: "property", property: left.property.name, value });
+      }
+    }
+  });
+}
+
+// Whether anything between the root and path makes it run zero or many times
+function isConditional(path, rootPath) {
+  for (let current = path.parentPath; current && current !== rootPath; current = current.parentPath) {
+    if (current.isIfStatement() || current.isSwitchCase() || current.isLoop() || current.isConditionalExpression() ||
+        current.isLogicalExpression() || current.isTryStatement() || current.isCatchClause()) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// The selector of a querySelectorAll/getElementsBy* list, directly or through a constant
+function listSelectorOf(node, scope) {
+  if (node?.type === "Identifier") {
+    const binding = scope.getBinding(node.name);
+    const declarator = binding?.path.node;
+    if (declarator?.type !== "VariableDeclarator" || binding.constantViolations.length > 0) return null;
+    return listSelectorOf(declarator.init, binding.path.scope);
+  }
+  if (node?.type !== "CallExpression" || node.callee.type !== "MemberExpression") return null;
+  const toSelector = LIST_METHODS[node.callee.property.name];
+  const arg = node.arguments[0];
+  return toSelector && arg?.type === "StringLiteral" ? toSelector(arg.value) : null;
+}
+
+// The tag of an element made with document.createElement, directly or through a constant
+function createdTag(node, scope) {
+  if (node?.type === "Identifier") {
+    const binding = scope.getBinding(node.name);
+    const declarator = binding?.path.node;
+    if (declarator?.type !== "VariableDeclarator" || binding.constantViolations.length > 0) return null;
+    return createdTag(declarator.init, binding.path.scope);
+  }
+  if (node?.type === "CallExpression" && node.callee.type === "MemberExpression" &&
+      node.callee.property.name === "createElement" && node.arguments[0]?.type === "StringLiteral") {
+    return node.arguments[0].value.toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Manipulations grouped by what they happen to: one element, or every match
+ * of a selector
+ * @param {Array} manipulations - From findDOMManipulations
+ * @returns {Array} [{ selector, all, manipulations }] in order of first appearance
+ */
+export function groupManipulations(manipulations) {
+  const groups = new Map();
+  for (const m of manipulations) {
+    if (m.type === "element_selection") continue;
+    const key = JSON.stringify([m.selector, m.all]);
+    if (!groups.has(key)) groups.set(key, { selector: m.selector, all: m.all, manipulations: [] });
+    groups.get(key).manipulations.push(m);
+  }
+  return [...groups.values()];
+}
+
+// [section, key] an expectation about a manipulation lives under
+function aspectOf(m) {
+  switch (m.type) {
+    case "insert": return ["children", m.tag];
+    case "attribute": return ["attributes", m.name];
+    case "class": return ["classes", m.className];
+    case "style": return [null, `style.${m.property}`];
+    case "property": return [null, m.property];
+    default: return null;
+  }
+}
+
+// Aspects a later manipulation makes stale: child insertions change the
+// markup, markup writes replace the children, class changes the class name
+function staleAspects(m, known) {
+  const stale = [];
+  for (const key of known.keys()) {
+    const [section, name] = JSON.parse(key);
+    if (m.type === "insert" && section === null && (name === "innerHTML" || name === "textContent")) stale.push(key);
+    if (m.type === "property" && (m.property === "innerHTML" || m.property === "textContent") &&
+        (section === "children" || (section === null && (name === "innerHTML" || name === "textContent")))) stale.push(key);
+    if (m.type === "class" && section === null && name === "className") stale.push(key);
+    if (m.type === "property" && m.property === "className" && section === "classes") stale.push(key);
+  }
+  return stale;
+}
+
+/**
+ * What the manipulations of a group assert without running anything: literal
+ * values written exactly once per load, and child counts when every insertion
+ * is such a write
+ * @param {Object} group - From groupManipulations
+ * @returns {Object|null} A dom_structure test's `expected`, or null
+ */
+export function staticExpectation(group) {
+  if (group.manipulations.some(m => m.type === "remove" && m.certain)) return group.all ? { count: 0 } : { exists: false };
+
+  const known = new Map();
+  const unknown = new Set();
+  for (const m of group.manipulations) {
+    const aspect = aspectOf(m);
+    if (!aspect) continue;
+    const key = JSON.stringify(aspect);
+    for (const stale of staleAspects(m, known)) {
+      known.delete(stale);
+      unknown.add(stale);
+    }
+
+    if (m.type === "insert") {
+      if (m.certain) known.set(key, (known.get(key) ?? 0) + 1);
+      else unknown.add(key);
+      continue;
+    }
+    const value = m.type === "class" ? (m.action === "toggle" ? null : m.action === "add") : m.value;
+    // A removed attribute is expected to read as null
+    if (!m.certain || (value === null && !(m.type === "attribute" && m.action === "remove"))) {
+      unknown.add(key);
+      known.delete(key);
+      continue;
+    }
+    unknown.delete(key);
+    known.set(key, value);
+  }
+  for (const key of unknown) known.delete(key);
+  if (known.size === 0) return group.all ? {} : null;
+  return nest(known);
+}
+
+/**
+ * What actually happened to a group's aspects on the reference: whatever
+ * differs from the page before the script ran
+ * @param {Object} group - From groupManipulations
+ * @param {Object} observed - { before, after } element states from SandboxRunner.inspectElements
+ * @param {Object} again - The same from a second run; aspects the two runs
+ *   disagree on, e.g. from Math.random(), are left out
+ * @returns {Object|null} A dom_structure test's `expected`, or null when nothing changed
+ */
+export function observedExpectation(group, observed, again = observed) {
+  const { before, after } = observed;
+  if (after.length !== again.after.length) return null;
+  if (before.length > 0 && after.length === 0 && group.manipulations.some(m => m.type === "remove")) {
+    return group.all ? { count: 0 } : { exists: false };
+  }
+  if (after.length === 0) return null;
+
+  const aspects = new Set(group.manipulations.map(aspectOf).filter(Boolean).map(a => JSON.stringify(a)));
+  const known = new Map();
+  for (const key of aspects) {
+    const aspect = JSON.parse(key);
+    const values = after.map(state => readAspect(state, aspect));
+    // Every match must agree on a value for it to be expected of each of them
+    if (values.some(value => JSON.stringify(value) !== JSON.stringify(values[0]))) continue;
+    if (again.after.some(state => JSON.stringify(readAspect(state, aspect)) !== JSON.stringify(values[0]))) continue;
+    const changed = after.length !== before.length ||
+      before.some(state => JSON.stringify(readAspect(state, aspect)) !== JSON.stringify(values[0]));
+    if (changed) known.set(key, values[0]);
+  }
+
+  if (!group.all) return known.size > 0 ? nest(known) : null;
+  // The matches were iterated, so how many there are is part of what the script did
+  return { count: after.length, ...nest(known) };
+}
+
+function readAspect(state, [section, key]) {
+  if (section === "children") return state.children[key] ?? 0;
+  if (section === "attributes") return state.attributes[key] ?? null;
+  if (section === "classes") return state.classes.includes(key);
+  if (key.startsWith("style.")) {
+    return state.style[key.slice(6).replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)] ?? "";
+  }
+  return state[key] ?? null;
+}
+
+function nest(known) {
+  const expected = {};
+  for (const [key, value] of known) {
+    const [section, name] = JSON.parse(key);
+    if (section) (expected[section] ??= {})[name] = value;
+    else expected[name] = value;
+  }
+  return expected;
+}
+
+/**
+ * @param {string} selector
+ * @param {boolean} all - Whether the expectation is on every match
+ * @param {Object} expected
+ * @returns {string} e.g. `#list should contain 3 <li> and have class 'open'`
+ */
+export function describeDOMExpectation(selector, all, expected) {
+  if (expected.exists === false) return `${selector} should be removed from the page`;
+  if (all && expected.count === 0) return `Every element matching '${selector}' should be removed from the page`;
+
+  const parts = [];
+  const { count, children, attributes, classes, ...properties } = expected;
+  for (const [tag, n] of Object.entries(children || {})) parts.push(`contain ${n} <${tag}>`);
+  for (const [name, value] of Object.entries(attributes || {})) {
+    parts.push(value === null ? `not have attribute '${name}'` : `have ${name}="${value}"`);
+  }
+  for (const [className, present] of Object.entries(classes || {})) {
+    parts.push(`${present ? "have" : "not have"} class '${className}'`);
+  }
+  for (const [property, value] of Object.entries(properties)) parts.push(`have ${property} ${JSON.stringify(value)}`);
+
+  const subject = all
+    ? (count !== undefined ? `All ${count} element(s) matching '${selector}'` : `Every element matching '${selector}'`)
+    : selector;
+  if (parts.length === 0) return `${subject} should be on the page`;
+  const last = parts.pop();
+  return `${subject} should ${parts.length > 0 ? `${parts.join(", ")} and ${last}` : last}`;
+}
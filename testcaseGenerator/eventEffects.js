@@ -0,0 +1,210 @@
+/**
+ * Static analysis of event listeners: which element a listener is attached to
+ * and what its handler visibly does, i.e. console output, text/HTML/value
+ * writes, classList changes and inline style changes on elements it can name.
+ * Handlers are followed into functions of the same file they call.
+ *
+ * Effects look like
+ *   { type: "output", text }                          text null when not a literal
+ *   { type: "property", selector, property, value }   textContent, innerHTML, innerText, value, className
+ *   { type: "style", selector, property, value }      property in camelCase as written
+ *   { type: "class", selector, action, className }    add, remove or toggle
+ */
+
+const WRITABLE_PROPERTIES = ["textContent", "innerHTML", "innerText", "value", "className"];
+const CLASS_ACTIONS = ["add", "remove", "toggle"];
+
+/**
+ * @param {Object} path - Babel path of an `x.addEventListener(type, handler)` call
+ * @returns {Object} { element, selector, event, effects }
+ */
+export function describeListener(path) {
+  const target = path.node.callee.object;
+  const element = target?.type === "Identifier" ? target.name : "element";
+  const selector = selectorOf(target, path.scope) ?? `#${element}`;
+  const event = path.node.arguments[0]?.value;
+
+  const handler = path.get("arguments.1");
+  const effects = [];
+  if (handler?.node) collectEffects(resolveFunction(handler), { selector, effects, visited: new Set() }, true);
+  return { element, selector, event, effects };
+}
+
+/**
+ * The CSS selector an expression's element can be found with, when it is
+ * looked up by id or selector literal (directly or through a constant)
+ * @param {Object} node
+ * @param {Object} scope - Babel scope the node is in
+ * @param {string} [self] - Selector `this`/`event.target` stand for
+ * @param {string} [eventParam] - Name of the handler's event parameter
+ * @returns {string|null}
+ */
+export function selectorOf(node, scope, self = null, eventParam = null) {
+  if (!node) return null;
+  if (node.type === "ThisExpression") return self;
+
+  if (node.type === "Identifier") {
+    const binding = scope.getBinding(node.name);
+    const declarator = binding?.path.node;
+    if (!declarator || declarator.type !== "VariableDeclarator" || binding.constantViolations.length > 0) return null;
+    return selectorOf(declarator.init, binding.path.scope);
+  }
+
+  if (node.type === "MemberExpression" && !node.computed) {
+    const property = node.property.name;
+    if (node.object.type === "Identifier" && node.object.name === eventParam &&
+        (property === "target" || property === "currentTarget")) {
+      return self;
+    }
+    if (node.object.type === "Identifier" && node.object.name === "document" && (property === "body" || property === "documentElement")) {
+      return property === "body" ? "body" : "html";
+    }
+    return null;
+  }
+
+  if (node.type === "CallExpression" && node.callee.type === "MemberExpression") {
+    const method = node.callee.property.name;
+    const arg = node.arguments[0];
+    if (arg?.type !== "StringLiteral") return null;
+    if (method === "getElementById") return `#${arg.value}`;
+    if (method === "querySelector") return arg.value;
+  }
+  return null;
+}
+
+/**
+ * A function given by name is the function that name is bound to
+ * @param {Object} path - Babel path of a function or an identifier
+ * @returns {Object|null} Path of the function, or null when it is not one of the file's own
+ */
+export function resolveFunction(path) {
+  if (!path.isIdentifier()) return path;
+  const binding = path.scope.getBinding(path.node.name);
+  if (!binding) return null;
+  if (binding.path.isFunctionDeclaration()) return binding.path;
+  if (binding.path.isVariableDeclarator()) {
+    const init = binding.path.get("init");
+    if (init.isFunctionExpression() || init.isArrowFunctionExpression()) return init;
+  }
+  return null;
+}
+
+// `this` and the event parameter only stand for the element in the handler
+// itself, not in the helpers it calls
+function collectEffects(fnPath, state, isHandler) {
+  if (!fnPath || state.visited.has(fnPath.node)) return;
+  state.visited.add(fnPath.node);
+  const param = fnPath.node.params?.[0];
+  const eventParam = isHandler && param?.type === "Identifier" ? param.name : null;
+  const targetOf = (node, scope) => selectorOf(node, scope, isHandler ? state.selector : null, eventParam);
+
+  fnPath.traverse({
+    CallExpression: (path) => {
+      const callee = path.node.callee;
+
+      if (callee.type === "MemberExpression" && callee.object.name === "console" && callee.property.name === "log") {
+        const parts = path.node.arguments.map(literalValue);
+        state.effects.push({ type: "output", text: parts.every(p => p !== null) ? parts.join(" ") : null });
+        return;
+      }
+
+      // el.classList.add("active")
+      if (callee.type === "MemberExpression" && CLASS_ACTIONS.includes(callee.property.name) &&
+          callee.object.type === "MemberExpression" && callee.object.property.name === "classList") {
+        const selector = targetOf(callee.object.object, path.scope);
+        for (const arg of path.node.arguments) {
+          if (selector && arg.type === "StringLiteral") {
+            state.effects.push({ type: "class", selector, action: callee.property.name, className: arg.value });
+          }
+        }
+        return;
+      }
+
+      // A helper the handler calls
+      if (callee.type === "Identifier") {
+        const fn = resolveFunction(path.get("callee"));
+        if (fn) collectEffects(fn, state, false);
+      }
+    },
+
+    AssignmentExpression: (path) => {
+      const left = path.node.left;
+      if (left.type !== "MemberExpression" || left.computed) return;
+      const value = path.node.operator === "=" ? literalValue(path.node.right) : null;
+
+      // el.style.color = "red"
+      if (left.object.type === "MemberExpression" && left.object.property.name === "style") {
+        const selector = targetOf(left.object.object, path.scope);
+        if (selector) state.effects.push({ type: "style", selector, property: left.property.name, value });
+        return;
+      }
+      if (WRITABLE_PROPERTIES.includes(left.property.name)) {
+        const selector = targetOf(left.object, path.scope);
+        if (selector) state.effects.push({ type: "property", selector, property: left.property.name, value });
+      }
+    }
+  });
+}
+
+/**
+ * @param {Object} node
+ * @returns {string|null} Text of a string, number or boolean literal, or of a
+ *   template literal without expressions
+ */
+export function literalValue(node) {
+  if (node.type === "StringLiteral" || node.type === "NumericLiteral" || node.type === "BooleanLiteral") return String(node.value);
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * What can be asserted about a listener without running it: literal output
+ * and literal writes. Toggles and computed values need the reference run.
+ * @param {Array} effects - From describeListener
+ * @returns {Object|null} An event test's `expected`, or null when nothing is known
+ */
+export function expectationFromEffects(effects) {
+  const consoleOutput = [];
+  const elements = {};
+  const on = (selector) => (elements[selector] ??= {});
+
+  for (const effect of effects) {
+    if (effect.type === "output" && effect.text !== null) consoleOutput.push(effect.text);
+    if ((effect.type === "property" || effect.type === "style") && effect.value !== null) {
+      on(effect.selector)[effect.type === "style" ? `style.${effect.property}` : effect.property] = effect.value;
+    }
+    if (effect.type === "class" && effect.action !== "toggle") {
+      (on(effect.selector).classes ??= {})[effect.className] = effect.action === "add";
+    }
+  }
+
+  const expected = {};
+  if (consoleOutput.length > 0) expected.consoleOutput = consoleOutput;
+  if (Object.keys(elements).length > 0) expected.elements = elements;
+  return Object.keys(expected).length > 0 ? expected : null;
+}
+
+/**
+ * @param {string} selector - Element the listener is on
+ * @param {string} event
+ * @param {Object|null} expected
+ * @returns {string} e.g. `'click' on #btn should print 'Hi' and set #msg textContent to "Hello"`
+ */
+export function describeExpectation(selector, event, expected) {
+  const parts = [];
+  if (expected?.consoleOutput?.length) parts.push(`print '${expected.consoleOutput.join("', '")}'`);
+  for (const [target, changes] of Object.entries(expected?.elements || {})) {
+    for (const [property, value] of Object.entries(changes)) {
+      if (property !== "classes") {
+        parts.push(`set ${target} ${property} to ${JSON.stringify(value)}`);
+        continue;
+      }
+      for (const [className, present] of Object.entries(value)) {
+        parts.push(`${present ? "add" : "remove"} class '${className}' ${present ? "to" : "from"} ${target}`);
+      }
+    }
+  }
+  if (parts.length === 0) return `Check ${selector} handles '${event}' event`;
+  const last = parts.pop();
+  return `'${event}' on ${selector} should ${parts.length > 0 ? `${parts.join(", ")} and ${last}` : last}`;
+}
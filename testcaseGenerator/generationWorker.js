@@ -0,0 +1,16 @@
+import { parentPort, workerData } from "worker_threads";
+import { TestcaseGenerator } from "./testcaseGenerator.js";
+
+// Generation runs the reference solution, timers included. It lives in a
+// worker so a reference that never finishes can be terminated from outside.
+const { files, options, previous } = workerData;
+const generator = new TestcaseGenerator();
+
+try {
+  const { config, changes } = previous
+    ? await generator.merge(previous, files, options)
+    : { config: await generator.generateFromFiles(files, options) };
+  parentPort.postMessage({ config, changes, statistics: generator.getStatistics() });
+} catch (err) {
+  parentPort.postMessage({ error: { message: err?.message || String(err), problems: err?.problems } });
+}
@@ -1,32 +1,271 @@
+#!/usr/bin/env node
 import fs from "fs";
 import path from "path";
-import { JSParser } from "./jsParser.js";
+import { parseArgs } from "util";
+import { TestcaseGenerator, generateInWorker } from "./testcaseGenerator.js";
+import { MutationRunner } from "./mutationRunner.js";
+import { CommentAnalyzer } from "./commentAnalyzer.js";
+import { validateInWorker, assemblePage } from "../testcaseValidator/validator.js";
+import { loadConfig, ConfigError } from "../testcaseValidator/configSchema.js";
 
-const inputFile = process.argv[2];
-const outputFile = process.argv[3] || "../testcaseValidator/configs/testcase.json";
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
 
-if (!inputFile) {
-  console.error("Usage: node index.js <script.js> [output.json]");
-  process.exit(1);
+// --no-<flag> turns off the matching generateFromFiles include option
+const INCLUDE_FLAGS = {
+  structure: "includeStructure",
+  styles: "includeStyles",
+  events: "includeEvents",
+  functions: "includeFunctions",
+  conditions: "includeConditions",
+  objects: "includeObjects",
+  variables: "includeVariables",
+  outputs: "includeOutputs",
+  dom: "includeDOM",
+  loops: "includeLoops",
+  classes: "includeClasses",
+  async: "includeAsync",
+  branches: "includeBranches",
+  comments: "includeComments",
+  recursion: "includeRecursion",
+  "higher-order": "includeHigherOrder"
+};
+
+const USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+  generate <dir|files...>        Generate a testcase config from HTML, CSS and JS files
+      --out <file>               Write the config to a file instead of stdout
+      --mode <hybrid|static>     Run the reference code (default) or analyze it only
+      --fixture <file.html>      Page to run the code against (default: the HTML file given)
+      --comment-rules <file.json>
+                                 Keyword/regex rules for explanation comments
+      --merge <config>           Update an earlier config instead, keeping its
+                                 manual tests, edits and removals
+      --no-<kind>                Skip a kind of test: ${Object.keys(INCLUDE_FLAGS).join(", ")}
+  validate <config> <dir|files...>
+                                 Check a submission against a config
+  stats <config>                 Count the tests in a config by file and type
+  mutate <config> [file]         Score a config's tests with mutation analysis
+
+Options:
+  --format <json|pretty>         Output format (default: pretty)
+  -h, --help                     Show this help
+
+Exit codes: 0 success, 1 failing tests or generation errors, 2 usage errors or invalid configs.`;
+
+class UsageError extends Error {}
+
+const COMMANDS = { generate, validate, stats, mutate };
+
+async function main(argv) {
+  const { values: flags, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o" },
+      mode: { type: "string" },
+      fixture: { type: "string" },
+      "comment-rules": { type: "string" },
+      merge: { type: "string" },
+      format: { type: "string", default: "pretty" },
+      help: { type: "boolean", short: "h" },
+      ...Object.fromEntries(Object.keys(INCLUDE_FLAGS).map(name => [`no-${name}`, { type: "boolean" }]))
+    }
+  });
+
+  if (flags.help || positionals.length === 0) {
+    console.log(USAGE);
+    return flags.help ? EXIT_OK : EXIT_USAGE;
+  }
+  if (!["json", "pretty"].includes(flags.format)) throw new UsageError(`Unknown format "${flags.format}"`);
+
+  let [command, ...args] = positionals;
+  // Older form: node index.js <script.js> [output.json]
+  if (!COMMANDS[command] && fs.existsSync(command)) {
+    args = [command];
+    flags.out = flags.out || positionals[1] || "../testcaseValidator/configs/testcase.json";
+    command = "generate";
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+
+  return COMMANDS[command](args, flags);
 }
 
-const code = fs.readFileSync(inputFile, "utf-8");
-const parser = new JSParser();
-const result = parser.parse(code);
+function print(flags, data, pretty) {
+  if (flags.format === "json") console.log(JSON.stringify(data, null, 2));
+  else pretty(data);
+}
 
-const output = {
-  Code_Validation: {
-    [path.basename(inputFile)]: {
-      Ans: code,
-      structure: result.structure
+// Files by base name, from a directory or a list of paths
+async function readFiles(paths) {
+  const generator = new TestcaseGenerator();
+  const files = {};
+  for (const target of paths) {
+    if (!fs.existsSync(target)) throw new UsageError(`No such file or directory: ${target}`);
+    if (fs.statSync(target).isDirectory()) {
+      Object.assign(files, await generator.loadFilesFromDirectory(target));
+    } else {
+      files[path.basename(target)] = await fs.promises.readFile(target, "utf-8");
     }
   }
-};
+  return files;
+}
+
+function readConfig(configFile) {
+  if (!configFile) throw new UsageError("A config file is required");
+  if (!fs.existsSync(configFile)) throw new UsageError(`No such file: ${configFile}`);
+  return loadConfig(configFile);
+}
+
+// [{ "keyword": "Final Bill" }, { "pattern": "^expected", "flags": "i" }, ...]
+function readCommentRules(file) {
+  if (!fs.existsSync(file)) throw new UsageError(`No such file: ${file}`);
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new UsageError(`${file} is not valid JSON (${err.message})`);
+  }
+  if (!Array.isArray(rules)) throw new UsageError(`${file} should hold an array of comment rules`);
+  try {
+    new CommentAnalyzer({ rules });
+  } catch (err) {
+    throw new UsageError(`${file}: ${err.message}`);
+  }
+  return rules;
+}
+
+async function generate(paths, flags) {
+  if (paths.length === 0) throw new UsageError("generate needs a directory or files");
+  const files = await readFiles(paths);
+  if (Object.keys(files).length === 0) throw new UsageError("No .html, .css or .js files found");
+
+  const options = {};
+  for (const [name, option] of Object.entries(INCLUDE_FLAGS)) {
+    if (flags[`no-${name}`]) options[option] = false;
+  }
+  if (flags.mode) {
+    if (!["hybrid", "static"].includes(flags.mode)) throw new UsageError(`Unknown mode "${flags.mode}" (hybrid or static)`);
+    options.mode = flags.mode;
+  }
+  if (flags.fixture) {
+    if (!fs.existsSync(flags.fixture)) throw new UsageError(`No such file: ${flags.fixture}`);
+    options.fixture = await fs.promises.readFile(flags.fixture, "utf-8");
+  }
+  if (flags["comment-rules"]) options.commentRules = readCommentRules(flags["comment-rules"]);
+
+  const previous = flags.merge ? readConfig(flags.merge) : null;
+  const { config, changes, statistics } = await generateInWorker(files, options, { previous });
+  const errors = Object.entries(changes || config.Code_Validation)
+    .filter(([, block]) => block.error)
+    .map(([name, block]) => `${name}: ${block.error}`);
+
+  if (flags.out) {
+    await fs.promises.mkdir(path.dirname(path.resolve(flags.out)), { recursive: true });
+    await fs.promises.writeFile(flags.out, JSON.stringify(config, null, 2), "utf-8");
+    print(flags, { out: flags.out, statistics, errors, ...(changes ? { changes } : {}) }, () => {
+      if (changes) console.log(new TestcaseGenerator().formatChanges(changes));
+      printStatistics(statistics);
+      errors.forEach(error => console.error(`Error: ${error}`));
+    });
+  } else {
+    // stdout carries the config itself
+    console.log(JSON.stringify(config, null, 2));
+    if (changes) console.error(new TestcaseGenerator().formatChanges(changes));
+    errors.forEach(error => console.error(`Error: ${error}`));
+  }
+
+  return errors.length > 0 ? EXIT_FAILED : EXIT_OK;
+}
+
+async function validate([configFile, ...paths], flags) {
+  const config = readConfig(configFile);
+  if (paths.length === 0) throw new UsageError("validate needs the submission's directory or files");
 
-// Write to output file
-fs.writeFileSync(outputFile, JSON.stringify(output, null, 2), 'utf-8');
-console.log(`Testcase generated and saved to: ${outputFile}`);
+  const names = Object.keys(config.Code_Validation || {});
+  const submission = {};
+  for (const [name, content] of Object.entries(await readFiles(paths))) {
+    // A lone file with another name stands in for the config's file of the same kind
+    const sameKind = names.filter(n => path.extname(n) === path.extname(name));
+    submission[names.includes(name) || sameKind.length !== 1 ? name : sameKind[0]] = content;
+  }
+
+  const result = await validateInWorker(config, submission);
+  print(flags, result, () => {
+    for (const r of result.results) {
+      const mark = { passed: "✔", failed: "✘", skipped: "-" }[r.status];
+      console.log(`${mark} ${r.description}${r.message ? `\n    ${r.message}` : ""}`);
+    }
+    if (result.error) console.log(`Error: ${result.error}`);
+    console.log(`\n${result.passed}/${result.total} passed, ${result.failed} failed, ${result.skipped} skipped`);
+  });
 
-// Also log to console for verification
-console.log("\nGenerated testcase:");
-console.log(JSON.stringify(output, null, 2));
+  return result.failed > 0 || result.error ? EXIT_FAILED : EXIT_OK;
+}
+
+async function stats([configFile], flags) {
+  const generator = new TestcaseGenerator();
+  generator.results = readConfig(configFile);
+
+  const statistics = generator.getStatistics();
+  statistics.files = Object.fromEntries(Object.entries(generator.results.Code_Validation)
+    .map(([name, block]) => [name, (block.structure || []).length]));
+  print(flags, statistics, printStatistics);
+  return EXIT_OK;
+}
+
+function printStatistics(statistics) {
+  console.log(`${statistics.totalTests} tests in ${statistics.totalFiles} file(s)`);
+  if (statistics.files) {
+    console.log("By file:");
+    for (const [name, count] of Object.entries(statistics.files)) console.log(`  ${name}: ${count}`);
+  }
+  console.log("By type:");
+  for (const [type, count] of Object.entries(statistics.testTypes)) console.log(`  ${type}: ${count}`);
+  if (statistics.suggestions) console.log(`Suggestions: ${statistics.suggestions}`);
+}
+
+async function mutate([configFile, fileName], flags) {
+  const config = readConfig(configFile);
+  const entries = config.Code_Validation || {};
+  const name = fileName || Object.keys(entries).find(key => key.endsWith(".js"));
+  if (!entries[name]) throw new UsageError(`No JavaScript entry "${name}" in ${configFile}`);
+
+  const runner = new MutationRunner();
+  const { html } = assemblePage(entries, config.fixture);
+  const report = await runner.run(entries[name], (done, total) => {
+    if (flags.format === "pretty") process.stdout.write(`\rRunning mutants: ${done}/${total}`);
+  }, { html });
+
+  print(flags, report, () => {
+    process.stdout.write("\n");
+    console.log(`\nMutation score for ${name}: ${report.score ?? "n/a"}% ` +
+      `(${report.killed} killed, ${report.timedOut} timed out, ${report.survived} survived of ${report.mutants})`);
+
+    if (report.survivors.length > 0) {
+      console.log("\nSurviving mutants (no test failed):");
+      for (const m of report.survivors) console.log(`  ${m.id} line ${m.line} [${m.kind}] ${m.description}`);
+    }
+    if (report.weakTests.length > 0) {
+      console.log("\nTests that never failed on any mutant:");
+      for (const t of report.weakTests) console.log(`  #${t.index + 1} (${t.type}) ${t.description || ""}`);
+    }
+    if (report.brokenTests.length > 0) {
+      console.log("\nTests that fail or are skipped on the reference solution (ignored):");
+      for (const t of report.brokenTests) console.log(`  #${t.index + 1} (${t.type}) ${t.description || ""}: ${t.message || t.status}`);
+    }
+  });
+  return EXIT_OK;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (err) {
+  const usage = err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS");
+  console.error(`Error: ${err.message}`);
+  if (usage) console.error("Run with --help for usage.");
+  process.exitCode = usage || err instanceof ConfigError ? EXIT_USAGE : EXIT_FAILED;
+}
@@ -0,0 +1,156 @@
+import { forEachChild } from "./scopeEvaluator.js";
+
+const DEFAULT_MAX_CASES = 12;
+
+const COMPARISON_OPERATORS = new Set(["<", "<=", ">", ">=", "==", "===", "!=", "!=="]);
+const ARITHMETIC_OPERATORS = new Set(["-", "*", "/", "%", "**"]);
+
+const ARRAY_METHODS = new Set([
+  "push", "pop", "shift", "unshift", "map", "filter", "reduce", "forEach", "find",
+  "findIndex", "some", "every", "join", "sort", "reverse", "splice", "flat"
+]);
+const STRING_METHODS = new Set([
+  "toUpperCase", "toLowerCase", "trim", "split", "charAt", "charCodeAt", "startsWith",
+  "endsWith", "padStart", "padEnd", "repeat", "replace", "substring"
+]);
+
+/**
+ * Builds argument lists for a function from the literals its own conditions
+ * compare against: boundary values on each side of a comparison, plus the
+ * usual edge cases (zero, negatives, empty strings and arrays).
+ */
+export class InputSynthesizer {
+  constructor(options = {}) {
+    this.maxCases = options.maxCases || DEFAULT_MAX_CASES;
+  }
+
+  /**
+   * @param {Object} fnNode - Babel function node
+   * @returns {Array<Array>} Argument lists, one per case
+   */
+  synthesize(fnNode) {
+    // Defaulted parameters are synthesized like plain ones; rest parameters get no arguments
+    const declared = fnNode.params.filter(p => p.type !== "RestElement");
+    const params = declared.map(p => {
+      const target = p.type === "AssignmentPattern" ? p.left : p;
+      return target.type === "Identifier" ? target.name : null;
+    });
+    if (params.includes(null)) return [];
+    if (params.length === 0) return [[]];
+
+    const hints = new Map(params.map(name => [name, { kind: null, numbers: [], strings: [], lengths: [] }]));
+    this.collectHints(fnNode.body, hints);
+
+    const candidates = params.map(name => this.candidatesFor(hints.get(name)));
+    if (candidates.some(list => list === null)) return [];
+
+    // Vary one parameter at a time around a base case
+    const base = candidates.map(list => list[0]);
+    const cases = [base];
+    candidates.forEach((list, i) => {
+      for (const value of list.slice(1)) {
+        const args = [...base];
+        args[i] = value;
+        cases.push(args);
+      }
+    });
+
+    const seen = new Set();
+    return cases.filter(args => {
+      const key = JSON.stringify(args);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).slice(0, this.maxCases);
+  }
+
+  collectHints(node, hints) {
+    const paramOf = (n) => (n?.type === "Identifier" && hints.has(n.name) ? hints.get(n.name) : null);
+    const lengthOf = (n) => (n?.type === "MemberExpression" && !n.computed && n.property.name === "length"
+      ? paramOf(n.object)
+      : null);
+    const setKind = (hint, kind) => { if (hint && !hint.kind) hint.kind = kind; };
+
+    const visit = (n) => {
+      if (n.type === "BinaryExpression" && COMPARISON_OPERATORS.has(n.operator)) {
+        this.compareHint(n.left, n.right, n.operator, paramOf, lengthOf);
+        this.compareHint(n.right, n.left, this.flip(n.operator), paramOf, lengthOf);
+      } else if (n.type === "BinaryExpression" && ARITHMETIC_OPERATORS.has(n.operator)) {
+        setKind(paramOf(n.left), "number");
+        setKind(paramOf(n.right), "number");
+      } else if (n.type === "MemberExpression" && !n.computed) {
+        const hint = paramOf(n.object);
+        const name = n.property.name;
+        if (ARRAY_METHODS.has(name)) setKind(hint, "array");
+        else if (STRING_METHODS.has(name)) setKind(hint, "string");
+        else if (name !== "length" && hint) hint.kind = "object";
+      } else if ((n.type === "IfStatement" || n.type === "ConditionalExpression") && paramOf(n.test)) {
+        setKind(paramOf(n.test), "boolean");
+      } else if (n.type === "UnaryExpression" && n.operator === "!" && paramOf(n.argument)) {
+        setKind(paramOf(n.argument), "boolean");
+      }
+      forEachChild(n, visit);
+    };
+
+    visit(node);
+  }
+
+  compareHint(side, other, operator, paramOf, lengthOf) {
+    const lengthHint = lengthOf(side);
+    if (lengthHint && other.type === "NumericLiteral") {
+      if (!lengthHint.kind) lengthHint.kind = "array";
+      lengthHint.lengths.push(...this.boundaries(other.value, operator).filter(n => n >= 0 && Number.isInteger(n)));
+      return;
+    }
+
+    const hint = paramOf(side);
+    if (!hint) return;
+    if (other.type === "NumericLiteral" ||
+        (other.type === "UnaryExpression" && other.operator === "-" && other.argument.type === "NumericLiteral")) {
+      const value = other.type === "NumericLiteral" ? other.value : -other.argument.value;
+      if (!hint.kind || hint.kind === "boolean") hint.kind = "number";
+      hint.numbers.push(...this.boundaries(value, operator));
+    } else if (other.type === "StringLiteral") {
+      if (!hint.kind || hint.kind === "boolean") hint.kind = "string";
+      hint.strings.push(other.value);
+    }
+  }
+
+  // Values just inside and just outside the comparison
+  boundaries(value, operator) {
+    const step = Number.isInteger(value) ? 1 : 0.5;
+    switch (operator) {
+      case ">=":
+      case "<":
+        return [value, value - step];
+      case ">":
+      case "<=":
+        return [value, value + step];
+      default:
+        return [value, value + step, value - step];
+    }
+  }
+
+  flip(operator) {
+    return { "<": ">", "<=": ">=", ">": "<", ">=": "<=" }[operator] || operator;
+  }
+
+  candidatesFor(hint) {
+    const unique = (values) => [...new Map(values.map(v => [JSON.stringify(v), v])).values()];
+
+    switch (hint.kind) {
+      case "object":
+        return null;
+      case "string":
+        return unique([...hint.strings, "hello", ""]);
+      case "array": {
+        const lengths = unique([...hint.lengths, 3, 0]);
+        return lengths.map(n => Array.from({ length: n }, (_, i) => i + 1));
+      }
+      case "boolean":
+        return [true, false];
+      default:
+        return unique(hint.numbers.length ? [...hint.numbers, 0, -1] : [1, 0, -1, 10]);
+    }
+  }
+}
@@ -1,239 +1,126 @@
 import * as parser from "@babel/parser";
 import traverse from "@babel/traverse";
+import { ScopeEvaluator, Closure, boundNames } from "./scopeEvaluator.js";
+import { InputSynthesizer } from "./inputSynthesizer.js";
+import { AnnotationParser, applyDirectives } from "./annotations.js";
+import { CommentAnalyzer } from "./commentAnalyzer.js";
+import { describeListener, expectationFromEffects, describeExpectation } from "./eventEffects.js";
+import { findDOMManipulations, groupManipulations, staticExpectation, describeDOMExpectation } from "./domManipulations.js";
+import {
+  describeOperand, describeCondition, describeSwitch, describeChain, conditionAtoms, formatCondition
+} from "../testcaseValidator/conditions.js";
+import { findLoops, describeLoop } from "../testcaseValidator/loops.js";
+import { findRecursion, describeRecursion } from "../testcaseValidator/recursion.js";
+import { findHigherOrderCalls, describeHigherOrder } from "../testcaseValidator/higherOrder.js";
 
 export class JSParser {
   constructor() {
     this.variables = [];
     this.conditions = [];
+    this.compoundConditions = [];
+    this.switches = [];
+    this.conditionChains = [];
     this.objects = [];
     this.events = [];
     this.outputs = [];
+    this.consoleCalls = [];
     this.commentedCode = [];
     this.functions = [];
     this.domManipulations = [];
     this.loops = [];
+    this.recursion = [];
+    this.higherOrderCalls = [];
+    this.classes = [];
+    this.asyncOperations = [];
+    this.branchPoints = [];
+    this.inputVariables = new Map();
     this.variableValues = new Map();
     this.variableAssignments = [];
-    this.declaredVariables = new Set(); 
+    this.declaredVariables = new Set();
+    this.evaluator = new ScopeEvaluator();
+    this.inputSynthesizer = new InputSynthesizer();
+    this.annotationParser = new AnnotationParser();
+    this.commentAnalyzer = new CommentAnalyzer();
+    this.directives = [];
+    this.annotationErrors = [];
   }
 
   parse(code) {
-    this.parseComments(code);
-    
     const ast = parser.parse(code, { sourceType: "module", plugins: ["jsx", "typescript"] });
+    let program = null;
 
     traverse.default(ast, {
-      VariableDeclarator: (path) => {
-        const name = path.node.id.name;
-        const valueNode = path.node.init;
-        const currentLine = path.node.loc?.start.line || 0;
-        const assignment = {
-          type: 'declaration',
-          name: name,
-          value: valueNode ? this.resolveExpression(valueNode, currentLine, code) : undefined,
-          line: currentLine
-        };
-        this.variableAssignments.push(assignment);
-        
-        if (!valueNode) {
-          // Variable without initialization (undefined)
-          this.variables.push({ name, value: undefined });
-          this.variableValues.set(name, undefined); // Store undefined value
-          return;
-        }
-        
-        if (valueNode.type === "NumericLiteral" || valueNode.type === "StringLiteral" || valueNode.type === "BooleanLiteral") {
-          this.variables.push({ name, value: valueNode.value });
-          this.variableValues.set(name, valueNode.value); // Store for later resolution
-        }
-        if (valueNode.type === "NullLiteral") {
-          this.variables.push({ name, value: null });
-          this.variableValues.set(name, null); // Store null value
-        }
-        if (valueNode.type === "ArrayExpression") {
-          // Handle array literals
-          const elements = valueNode.elements.map(el => {
-            if (el.type === "StringLiteral") return el.value;
-            if (el.type === "NumericLiteral") return el.value;
-            return el; // For complex elements, keep the AST node
-          });
-          this.variableValues.set(name, elements); // Store array for later resolution
-        }
-        if (valueNode.type === "ObjectExpression") {
-          // Handle object literals with actual values
-          const obj = {};
-          valueNode.properties.forEach(prop => {
-            const key = prop.key.name;
-            const value = this.resolveExpression(prop.value, currentLine, code);
-            obj[key] = value;
-          });
-          this.objects.push({ name, props: Object.keys(obj) });
-          this.variableValues.set(name, obj); // Store actual object with values
-        }
-        
-        // Handle complex expressions (like string concatenation, binary expressions, etc.)
-        if (!["NumericLiteral", "StringLiteral", "ArrayExpression", "ObjectExpression"].includes(valueNode.type)) {
-          const resolvedValue = this.resolveExpression(valueNode, currentLine, code);
-          if (resolvedValue !== null) {
-            this.variableValues.set(name, resolvedValue); // Store resolved value
-          }
-        }
+      Program: (path) => {
+        program = path;
+        this.domManipulations.push(...findDOMManipulations(path));
       },
 
-      AssignmentExpression: (path) => {
-        const currentLine = path.node.loc?.start.line || 0;
+      VariableDeclarator: (path) => {
+        const valueNode = path.node.init;
+        if (path.node.id.type !== "Identifier" || valueNode?.type !== "ObjectExpression") return;
         
-        if (path.node.left.type === "Identifier") {
-          const name = path.node.left.name;
-          
-          // Handle compound assignment operators (+=, -=, *=, etc.)
-          if (path.node.operator !== "=") {
-            const currentValue = this.variableValues.get(name) || 0;
-            const rightValue = this.resolveExpression(path.node.right, currentLine, code);
-            const operator = path.node.operator;
-            
-            let newValue;
-            switch (operator) {
-              case "+=":
-                newValue = currentValue + rightValue;
-                break;
-              case "-=":
-                newValue = currentValue - rightValue;
-                break;
-              case "*=":
-                newValue = currentValue * rightValue;
-                break;
-              case "/=":
-                newValue = currentValue / rightValue;
-                break;
-              default:
-                newValue = rightValue;
-            }
-            
-            const assignment = {
-              type: 'compound_assignment',
-              name: name,
-              value: newValue,
-              operator: operator,
-              line: currentLine
-            };
-            this.variableAssignments.push(assignment);
-            
-            this.variableValues.set(name, newValue);
-          } else {
-            const value = this.resolveExpression(path.node.right, currentLine, code);
-            
-            const assignment = {
-              type: 'reassignment',
-              name: name,
-              value: value,
-              line: currentLine
-            };
-            this.variableAssignments.push(assignment);
-            
-            this.variableValues.set(name, value);
-          }
-        } else if (path.node.left.type === "MemberExpression") {
-          const objectName = path.node.left.object.name;
-          const propertyName = path.node.left.property.name;
-          const newValue = this.resolveExpression(path.node.right, currentLine, code);
-          
-          const currentObject = this.variableValues.get(objectName);
-          if (currentObject && typeof currentObject === 'object') {
-            const updatedObject = { ...currentObject, [propertyName]: newValue };
-            this.variableValues.set(objectName, updatedObject);
-            
-            const assignment = {
-              type: 'property_assignment',
-              name: objectName,
-              property: propertyName,
-              value: newValue,
-              line: currentLine
-            };
-            this.variableAssignments.push(assignment);
-          }
-        }
+        const props = valueNode.properties
+          .filter(prop => prop.type !== "SpreadElement" && !prop.computed)
+          .map(prop => prop.key.name ?? String(prop.key.value));
+        // Spread and computed keys are only known once the code is evaluated
+        const partial = valueNode.properties.some(prop => prop.type === "SpreadElement" || prop.computed);
+        this.objects.push({ name: path.node.id.name, props, ...(partial ? { partial } : {}) });
       },
 
       ConditionalExpression: (path) => {
         const test = path.node.test;
-        const currentLine = path.node.loc?.start.line || 0;
-        if (test.left && test.right) {
-          // Store original variable names instead of resolved values
-          const leftVar = test.left.type === "Identifier" ? test.left.name : this.resolveExpression(test.left, currentLine, code);
-          const rightVar = test.right.type === "Identifier" ? test.right.name : this.resolveExpression(test.right, currentLine, code);
-          
-          this.conditions.push({
-            variable: leftVar,
-            operator: test.operator || this.extractOperator(test),
-            value: rightVar
-          });
-        }
+        this.recordCondition(describeCondition(test, code));
+        this.recordBranchPoint(path, 'ternary', code);
       },
 
       IfStatement: (path) => {
         const test = path.node.test;
-        const currentLine = path.node.loc?.start.line || 0;
-        if (test.left && test.right) {
-          this.conditions.push({
-            variable: this.resolveExpression(test.left, currentLine, code),
-            operator: test.operator || this.extractOperator(test),
-            value: this.resolveExpression(test.right, currentLine, code)
-          });
+        this.recordCondition(describeCondition(test, code));
+        // Chains are recorded once, from their first if
+        if (path.node.alternate?.type === "IfStatement" &&
+            !(path.parent.type === "IfStatement" && path.parent.alternate === path.node)) {
+          this.conditionChains.push(describeChain(path.node, code));
         }
+        this.recordBranchPoint(path, 'if', code);
+      },
+
+      SwitchStatement: (path) => {
+        this.switches.push(describeSwitch(path.node, code));
       },
 
       CallExpression: (path) => {
         const callee = path.node.callee;
         const currentLine = path.node.loc?.start.line || 0;
         
-        if (callee.object?.name === "console" && callee.property?.name === "log") {
-          const args = path.node.arguments.map(arg => {
-            const resolved = this.resolveExpression(arg, currentLine, code);
-            if (Array.isArray(resolved)) {
-              return resolved.join(",");
-            }
-            if (resolved && typeof resolved === 'object' && !Array.isArray(resolved)) {
-              return '[object Object]';
-            }
-            if (resolved === null) {
-              return "";
-            }
-            if (resolved === undefined) {
-              return "";
-            }
-            return resolved;
+        // console calls as written, what runtime output is traced back to
+        if (callee.type === "MemberExpression" && callee.object.name === "console" && !callee.computed) {
+          this.consoleCalls.push({
+            line: callee.property.loc.start.line,
+            column: callee.property.loc.start.column,
+            source: code.slice(path.node.start, path.node.end)
           });
-          const output = args.join(" ");
-          this.outputs.push(output);
         }
 
-        if (callee.type === "MemberExpression" && callee.object?.type === "Identifier") {
-          const arrayName = callee.object.name;
-          const methodName = callee.property?.name;
-          const currentArray = this.variableValues.get(arrayName);
-          
-          if (Array.isArray(currentArray) && methodName === "push") {
-            const newElements = path.node.arguments.map(arg => this.resolveExpression(arg, currentLine, code));
-            const updatedArray = [...currentArray, ...newElements];
-            this.variableValues.set(arrayName, updatedArray);
-            
-            const assignment = {
-              type: 'array_method',
-              name: arrayName,
-              value: updatedArray,
-              method: methodName,
-              line: currentLine
-            };
-            this.variableAssignments.push(assignment);
-          }
+        // Timers and promise chains
+        const calleeName = callee.type === "Identifier" ? callee.name : callee.property?.name;
+        if (calleeName === "setTimeout" || calleeName === "setInterval") {
+          const delay = path.node.arguments[1];
+          this.asyncOperations.push({
+            type: 'timer',
+            feature: `timer:${calleeName}`,
+            method: calleeName,
+            delay: delay?.type === "NumericLiteral" ? delay.value : null,
+            line: currentLine
+          });
+        }
+        if (callee.type === "MemberExpression" && ["then", "catch", "finally"].includes(calleeName)) {
+          this.asyncOperations.push({ type: 'promise_chain', feature: 'promise_chain', method: calleeName, line: currentLine });
         }
 
         // DOM Event
         if (callee.property?.name === "addEventListener") {
-          const element = callee.object?.name || "element";
-          const eventName = path.node.arguments[0]?.value;
-          this.events.push({ element, event: eventName });
+          const listener = describeListener(path);
+          if (typeof listener.event === "string") this.events.push(listener);
         }
 
         // DOM Manipulation
@@ -247,15 +134,6 @@ export class JSParser {
           });
         }
 
-        if (callee.property?.name === "innerHTML" && callee.object?.type === "MemberExpression") {
-          const element = callee.object.object?.name || "element";
-          this.domManipulations.push({
-            type: 'innerHTML_access',
-            element: element,
-            line: currentLine
-          });
-        }
-
         // Object methods (Object.keys, Object.values, etc.)
         if (callee.object?.name === "Object" && callee.property?.name) {
           this.objects.push({
@@ -264,395 +142,338 @@ export class JSParser {
             line: currentLine,
             type: 'object_method'
           });
-          
-          if (path.node.arguments.length > 0) {
-            const arg = path.node.arguments[0];
-            const resolvedArg = this.resolveExpression(arg, currentLine, code);
-            
-            if (resolvedArg && typeof resolvedArg === 'object' && !Array.isArray(resolvedArg)) {
-              let result;
-              if (callee.property.name === 'keys') {
-                result = Object.keys(resolvedArg);
-              } else if (callee.property.name === 'values') {
-                result = Object.values(resolvedArg);
-              }
-              
-              if (result !== undefined) {
-                // Store the result in variableValues for later resolution
-                const resultVarName = `Object.${callee.property.name}(${arg.name || 'obj'})`;
-                this.variableValues.set(resultVarName, result);
-              }
-            }
-          }
+        }
+      },
+
+      AwaitExpression: (path) => {
+        this.asyncOperations.push({ type: 'await', feature: 'await', line: path.node.loc?.start.line || 0 });
+      },
+
+      NewExpression: (path) => {
+        if (path.node.callee.name === "Promise") {
+          this.asyncOperations.push({ type: 'promise', feature: 'promise', line: path.node.loc?.start.line || 0 });
         }
       },
 
       // Function Declaration
       FunctionDeclaration: (path) => {
         const name = path.node.id?.name;
-        const params = path.node.params.map(param => param.name);
         const currentLine = path.node.loc?.start.line || 0;
         
         this.functions.push({
           name: name,
           type: 'function_declaration',
-          parameters: params,
+          ...this.describeSignature(path.node.params, code),
           line: currentLine,
-          hasReturn: this.hasReturnStatement(path.node.body)
+          hasReturn: this.hasReturnStatement(path.node.body),
+          async: path.node.async,
+          topLevel: path.scope.parent?.path.isProgram() ?? false,
+          inputs: this.inputSynthesizer.synthesize(path.node)
         });
+        if (path.node.async) {
+          this.asyncOperations.push({ type: 'async_function', feature: 'async_function', name, line: currentLine });
+        }
       },
 
       // Arrow Function Expression
       ArrowFunctionExpression: (path) => {
         const currentLine = path.node.loc?.start.line || 0;
-        const params = path.node.params.map(param => param.name);
         
         // Try to get the variable name if this arrow function is assigned to a variable
         let functionName = 'arrow_function';
-        if (path.parent && path.parent.type === 'VariableDeclarator') {
+        if (path.parent && path.parent.type === 'VariableDeclarator' && path.parent.id.type === 'Identifier') {
           functionName = path.parent.id.name;
         }
         
         this.functions.push({
           name: functionName,
           type: 'arrow_function',
-          parameters: params,
-          line: currentLine,
-          hasReturn: this.hasReturnStatement(path.node.body)
-        });
-      },
-
-      // For Loop
-      ForStatement: (path) => {
-        const currentLine = path.node.loc?.start.line || 0;
-        this.loops.push({
-          type: 'for_loop',
+          ...this.describeSignature(path.node.params, code),
           line: currentLine,
-          hasBreak: this.hasBreakStatement(path.node.body),
-          hasContinue: this.hasContinueStatement(path.node.body)
-        });
-      },
-
-      // While Loop
-      WhileStatement: (path) => {
-        const currentLine = path.node.loc?.start.line || 0;
-        this.loops.push({
-          type: 'while_loop',
-          line: currentLine,
-          hasBreak: this.hasBreakStatement(path.node.body),
-          hasContinue: this.hasContinueStatement(path.node.body)
-        });
-      },
-
-      // For...of Loop
-      ForOfStatement: (path) => {
-        const currentLine = path.node.loc?.start.line || 0;
-        this.loops.push({
-          type: 'for_of_loop',
-          line: currentLine,
-          hasBreak: this.hasBreakStatement(path.node.body),
-          hasContinue: this.hasContinueStatement(path.node.body)
-        });
-      },
-
-      // For...in Loop
-      ForInStatement: (path) => {
-        const currentLine = path.node.loc?.start.line || 0;
-        this.loops.push({
-          type: 'for_in_loop',
-          line: currentLine,
-          hasBreak: this.hasBreakStatement(path.node.body),
-          hasContinue: this.hasContinueStatement(path.node.body)
+          hasReturn: this.hasReturnStatement(path.node.body),
+          async: path.node.async,
+          topLevel: functionName !== 'arrow_function' && (path.scope.parent?.path.isProgram() ?? false),
+          inputs: functionName === 'arrow_function' ? [] : this.inputSynthesizer.synthesize(path.node)
         });
+        if (path.node.async) {
+          this.asyncOperations.push({ type: 'async_function', feature: 'async_function', name: functionName, line: currentLine });
+        }
       },
 
-      // Do...While Loop
-      DoWhileStatement: (path) => {
-        const currentLine = path.node.loc?.start.line || 0;
-        this.loops.push({
-          type: 'do_while_loop',
-          line: currentLine,
-          hasBreak: this.hasBreakStatement(path.node.body),
-          hasContinue: this.hasContinueStatement(path.node.body)
-        });
+      // Class Declaration / Expression
+      "ClassDeclaration|ClassExpression": (path) => {
+        let name = path.node.id?.name;
+        if (!name && path.parent.type === 'VariableDeclarator' && path.parent.id.type === 'Identifier') {
+          name = path.parent.id.name;
+        }
+        if (!name) return;
+        this.classes.push(this.describeClass(name, path.node, code));
       }
     });
 
+    this.loops = findLoops(ast, code);
+    this.recursion = findRecursion(ast);
+    this.higherOrderCalls = findHigherOrderCalls(ast, code);
+    this.evaluate(ast, code);
+    this.completeObjects();
+    this.commentedCode = this.commentAnalyzer.analyze(ast.comments, code);
+    this.collectInputVariables(program);
+    this.dropReassignedBranchPoints(program);
+
+    const annotations = this.annotationParser.parse(ast.comments, ast, code);
+    this.directives = annotations.directives;
+    this.annotationErrors = annotations.errors;
+
     return {
       variables: this.variables,
       conditions: this.conditions,
+      compoundConditions: this.compoundConditions,
+      switches: this.switches,
+      conditionChains: this.conditionChains,
       objects: this.objects,
       events: this.events,
       outputs: this.outputs,
+      consoleCalls: this.consoleCalls,
       commentedCode: this.commentedCode,
       functions: this.functions,
       domManipulations: this.domManipulations,
       loops: this.loops,
+      recursion: this.recursion,
+      higherOrderCalls: this.higherOrderCalls,
+      classes: this.classes,
+      asyncOperations: this.asyncOperations,
+      branchPoints: this.branchPoints,
+      inputVariables: Object.fromEntries(this.inputVariables),
       variableAssignments: this.variableAssignments,
+      declaredVariables: [...this.declaredVariables],
+      directives: this.directives,
+      annotationErrors: this.annotationErrors,
       structure: this.generateTests(code)
     };
   }
 
-  parseComments(code) {
-    const lines = code.split('\n');
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Check for single-line comments that contain code
-      if (line.startsWith('//')) {
-        const commentContent = line.substring(2).trim();
-        
-        // Check if comment contains variable declarations
-        if (commentContent.includes('const ') || commentContent.includes('let ') || commentContent.includes('var ')) {
-          this.commentedCode.push({
-            type: 'variable',
-            line: i + 1,
-            content: commentContent,
-            description: `Commented variable declaration: ${commentContent}`
-          });
-        }
-        
-        // Check if comment contains console.log statements
-        if (commentContent.includes('console.log')) {
-          this.commentedCode.push({
-            type: 'output',
-            line: i + 1,
-            content: commentContent,
-            description: `Commented console output: ${commentContent}`
-          });
-        }
-        
-        // Check if comment contains explanatory text about expected output
-        if (commentContent.includes('Final Bill') || commentContent.includes('discount')) {
-          this.commentedCode.push({
-            type: 'explanation',
-            line: i + 1,
-            content: commentContent,
-            description: `Explanatory comment: ${commentContent}`
-          });
-        }
-      }
+  /**
+   * Run the scope-aware evaluator and keep only what it could determine
+   * @param {Object} ast - Babel AST of the whole file
+   * @param {string} code - Source the AST was parsed from
+   */
+  evaluate(ast, code) {
+    const result = this.evaluator.run(ast);
+
+    for (const [name, binding] of result.globals) {
+      if (binding.kind === "function" || binding.kind === "class") continue;
+      this.declaredVariables.add(name);
+      if (!binding.initialized || !this.isTestableValue(binding.value)) continue;
+      this.variableValues.set(name, binding.value);
     }
-  }
 
-  resolveExpression(expr, currentLine = 0, code = "") {
-    if (!expr) return null;
-    if (expr.type === "Identifier") {
-      const varName = expr.name;
-      
-      // Check if this variable is declared with var (hoisted) using code analysis
-      const isHoisted = this.isVariableHoistedInCode(varName, currentLine, code);
-      
-      if (isHoisted) {
-        // For hoisted variables used before assignment, return empty string
-        // because console.log("text:", undefined) outputs "text: " (no "undefined")
-        return "";
+    for (const assignment of result.assignments) {
+      const known = this.isTestableValue(assignment.value);
+      this.variableAssignments.push({ ...assignment, value: known ? assignment.value : undefined, known });
+      if (assignment.type === "declaration" && known) {
+        this.variables.push({ name: assignment.name, value: assignment.value });
       }
-      
-      // Try to resolve variable value, fallback to variable name
-      const value = this.variableValues.get(varName);
-      if (value !== undefined) {
-        return value; // Return the actual value, even if it's null
+    }
+
+    // Output after an unknown one is still real, it only can't be ordered
+    for (const output of result.outputs) {
+      if (typeof output.text === "string") {
+        this.outputs.push({ text: output.text, callSite: code.slice(output.start, output.end) });
       }
-      return varName; // Fallback to variable name only if not found
     }
-    if (expr.type === "NumericLiteral") return expr.value;
-    if (expr.type === "StringLiteral") return expr.value;
-    if (expr.type === "BooleanLiteral") return expr.value;
-    if (expr.type === "NullLiteral") return null;
-    if (expr.type === "ArrayExpression") {
-      // Handle array literals
-      const elements = expr.elements.map(el => {
-        if (el.type === "StringLiteral") return el.value;
-        if (el.type === "NumericLiteral") return el.value;
-        return this.resolveExpression(el, currentLine, code); // Recursively resolve complex elements
-      });
-      return elements;
+
+    this.evaluationError = result.error;
+  }
+
+  // Objects built with spread or computed keys take their keys from the evaluated value
+  completeObjects() {
+    for (const object of this.objects) {
+      if (!object.partial) continue;
+      delete object.partial;
+      const value = this.variableValues.get(object.name);
+      if (value && typeof value === "object" && !Array.isArray(value)) object.props = Object.keys(value);
     }
-    if (expr.type === "ObjectExpression") {
-      // Handle object literals
-      const obj = {};
-      expr.properties.forEach(prop => {
-        const key = prop.key.name;
-        const value = this.resolveExpression(prop.value, currentLine, code);
-        obj[key] = value;
-      });
-      return obj;
+  }
+
+  // Values the validator can compare against: fully known and serializable
+  isTestableValue(value) {
+    if (value === undefined || !this.evaluator.isKnown(value)) return false;
+    if (typeof value === "bigint" || typeof value === "number" && !Number.isFinite(value)) return false;
+    if (value && typeof value === "object") {
+      if (value instanceof Closure || value instanceof RegExp) return false;
+      if (!Array.isArray(value) && Object.getPrototypeOf(value) !== Object.prototype) return false;
+      return Object.values(value).every(v => v === null || this.isTestableValue(v));
     }
-    if (expr.type === "UnaryExpression") {
-      const argument = this.resolveExpression(expr.argument, currentLine, code);
-      
-      if (expr.operator === "typeof") {
-        // Handle typeof expressions
-        if (typeof argument === "number") return "number";
-        if (typeof argument === "string") return "string";
-        if (typeof argument === "boolean") return "boolean";
-        if (argument === null) return "object";
-        if (argument === undefined) return "undefined";
-        return "object"; // default for objects, functions, etc.
-      } else if (expr.operator === "!") {
-        return !argument;
-      } else if (expr.operator === "-") {
-        return -argument;
-      } else if (expr.operator === "+") {
-        return +argument;
+    return true;
+  }
+
+  /**
+   * Record a class's shape: superclass, constructor, members and fields
+   * @param {string} name - Class name
+   * @param {Object} node - ClassDeclaration or ClassExpression node
+   * @param {string} code - Source code
+   * @returns {Object} Class description
+   */
+  describeClass(name, node, code) {
+    const info = {
+      name,
+      superClass: node.superClass ? describeOperand(node.superClass, code) : null,
+      constructorParams: [],
+      constructorInputs: [],
+      methods: [],
+      getters: [],
+      setters: [],
+      staticMembers: [],
+      fields: [],
+      line: node.loc?.start.line || 0
+    };
+
+    for (const member of node.body.body) {
+      // Private members (#x) are not reachable from the validator
+      if (member.type.startsWith("ClassPrivate") || member.key?.type === "PrivateName") continue;
+      const memberName = member.computed ? null : (member.key.name ?? String(member.key.value));
+      if (!memberName) continue;
+
+      if (member.type === "ClassMethod" && member.kind === "constructor") {
+        info.constructorParams = member.params.map(param => this.describeParam(param));
+        info.constructorInputs = this.inputSynthesizer.synthesize(member)[0] || [];
+      } else if (member.type === "ClassMethod") {
+        if (member.static) {
+          info.staticMembers.push(memberName);
+        } else if (member.kind === "get") {
+          info.getters.push(memberName);
+        } else if (member.kind === "set") {
+          info.setters.push(memberName);
+        } else {
+          info.methods.push({
+            name: memberName,
+            parameters: member.params.map(param => this.describeParam(param)),
+            inputs: this.inputSynthesizer.synthesize(member)[0] || null,
+            hasReturn: this.hasReturnStatement(member.body)
+          });
+        }
+      } else if (member.type === "ClassProperty") {
+        if (member.static) info.staticMembers.push(memberName);
+        else info.fields.push(memberName);
       }
     }
-    if (expr.type === "LogicalExpression") {
-      // Handle logical expressions (&&, ||)
-      const left = this.resolveExpression(expr.left, currentLine, code);
-      const right = this.resolveExpression(expr.right, currentLine, code);
-      
-      if (expr.operator === "&&") {
-        return left && right;
-      } else if (expr.operator === "||") {
-        return left || right;
+
+    return info;
+  }
+
+  /**
+   * Parameter names in order, with the source of each default value and the
+   * name of the rest parameter. Destructured parameters are named by the
+   * bindings they introduce, e.g. `{ name, age }`.
+   * @param {Array} params - Babel parameter nodes
+   * @param {string} code - Source code
+   * @returns {Object} { parameters, defaults, rest }
+   */
+  describeSignature(params, code) {
+    const defaults = {};
+    let rest = null;
+    for (let param of params) {
+      if (param.type === "TSParameterProperty") param = param.parameter;
+      if (param.type === "AssignmentPattern") {
+        defaults[this.describeParam(param.left)] = code.slice(param.right.start, param.right.end);
+      } else if (param.type === "RestElement") {
+        rest = this.describeParam(param.argument);
       }
     }
-    if (expr.type === "ParenthesizedExpression") {
-      // Handle expressions in parentheses
-      return this.resolveExpression(expr.expression, currentLine, code);
-    }
-    if (expr.type === "ConditionalExpression") {
-      // Handle ternary operator (condition ? trueValue : falseValue)
-      const test = this.resolveExpression(expr.test, currentLine, code);
-      const consequent = this.resolveExpression(expr.consequent, currentLine, code);
-      const alternate = this.resolveExpression(expr.alternate, currentLine, code);
-      
-      return test ? consequent : alternate;
+    return { parameters: params.map(param => this.describeParam(param)), defaults, rest };
+  }
+
+  describeParam(param) {
+    switch (param.type) {
+      case "Identifier": return param.name;
+      case "TSParameterProperty": return this.describeParam(param.parameter);
+      case "AssignmentPattern": return this.describeParam(param.left);
+      case "RestElement": return `...${this.describeParam(param.argument)}`;
+      case "ObjectPattern": return `{ ${boundNames(param).join(", ")} }`;
+      case "ArrayPattern": return `[ ${boundNames(param).join(", ")} ]`;
+      default: return "pattern";
     }
-    if (expr.type === "BinaryExpression") {
-      // Handle binary expressions (like string concatenation)
-      const left = this.resolveExpression(expr.left, currentLine, code);
-      const right = this.resolveExpression(expr.right, currentLine, code);
-      
-      switch (expr.operator) {
-        case "+":
-          // String concatenation or addition
-          if (typeof left === "string" || typeof right === "string") {
-            return String(left) + String(right);
-          }
-          return left + right;
-        case "-":
-          return left - right;
-        case "*":
-          return left * right;
-        case "/":
-          return left / right;
-        case "%":
-          return left % right;
-        case ">=":
-          return left >= right;
-        case "<=":
-          return left <= right;
-        case ">":
-          return left > right;
-        case "<":
-          return left < right;
-        case "==":
-          return left == right;
-        case "!=":
-          return left != right;
-        case "===":
-          return left === right;
-        case "!==":
-          return left !== right;
-        case "&&":
-          return left && right;
-        case "||":
-          return left || right;
-        case "!":
-          return !right;
-        default:
-          return null;
-      }
+  }
+
+  /**
+   * Keep each comparison as its own condition, and conditions built with
+   * &&, || or ! whole as well
+   */
+  recordCondition(tree) {
+    const seen = new Set(this.conditions.map(c => JSON.stringify(c)));
+    for (const atom of conditionAtoms(tree)) {
+      if (!seen.has(JSON.stringify(atom))) this.conditions.push(atom);
+      seen.add(JSON.stringify(atom));
     }
-    if (expr.type === "MemberExpression") {
-      const object = this.resolveExpression(expr.object, currentLine, code);
-      const property = this.resolveExpression(expr.property, currentLine, code);
-      
-      // Handle common property access patterns
-      if (typeof object === "string" && property === "length") {
-        return object.length;
-      }
-      if (Array.isArray(object) && property === "length") {
-        return object.length;
-      }
-      if (object && typeof object === "object" && !Array.isArray(object)) {
-        return object[property];
-      }
-      
-      // Fallback to string representation
-      return `${object}.${property}`;
+    if ((tree.op || tree.not) && !this.compoundConditions.some(c => JSON.stringify(c) === JSON.stringify(tree))) {
+      this.compoundConditions.push(tree);
     }
-    if (expr.type === "CallExpression") {
-      // Handle function calls
-      const callee = expr.callee;
-      const args = expr.arguments.map(arg => this.resolveExpression(arg, currentLine, code));
-      
-      // Handle Object method calls
-      if (callee.object?.name === "Object" && callee.property?.name) {
-        const obj = args[0];
-        if (obj && typeof obj === 'object' && !Array.isArray(obj)) {
-          if (callee.property.name === 'keys') {
-            return Object.keys(obj);
-          } else if (callee.property.name === 'values') {
-            return Object.values(obj);
-          }
-        }
+  }
+
+  /**
+   * Remember conditions that only look at one variable, comparing it with
+   * literals or testing it directly (through &&, || and !), so branch tests
+   * can vary that variable
+   */
+  recordBranchPoint(path, kind, code) {
+    const { test } = path.node;
+    const isLiteral = (n) => ["NumericLiteral", "StringLiteral", "BooleanLiteral"].includes(n.type) ||
+      (n.type === "UnaryExpression" && n.operator === "-" && n.argument.type === "NumericLiteral");
+    const variableOf = (node) => {
+      while (node.type === "ParenthesizedExpression") node = node.expression;
+      if (node.type === "Identifier") return node.name;
+      if (node.type === "UnaryExpression" && node.operator === "!") return variableOf(node.argument);
+      if (node.type === "LogicalExpression" && node.operator !== "??") {
+        const left = variableOf(node.left);
+        return left && left === variableOf(node.right) ? left : null;
       }
-      
-      // Handle regular function calls
-      if (callee.type === "Identifier") {
-        const funcName = callee.name;
-        
-        // For simple arithmetic functions, try to calculate the result
-        if (funcName === "add" && args.length === 2) {
-          const [a, b] = args;
-          if (typeof a === "number" && typeof b === "number") {
-            return a + b;
-          }
-        } else if (funcName === "multiply" && args.length === 2) {
-          const [a, b] = args;
-          if (typeof a === "number" && typeof b === "number") {
-            return a * b;
-          }
-        }
-        
-        // For other functions, return the function name for now
-        return funcName;
+      if (node.type === "BinaryExpression") {
+        if (node.left.type === "Identifier" && isLiteral(node.right)) return node.left.name;
+        if (node.right.type === "Identifier" && isLiteral(node.left)) return node.right.name;
       }
-    }
-    return null;
+      return null;
+    };
+
+    const variable = variableOf(test);
+    if (!variable) return;
+    this.branchPoints.push({
+      kind,
+      variable,
+      logic: describeCondition(test, code),
+      line: path.node.loc?.start.line || 0,
+      // Where the condition is, for the sandbox to see which way it goes
+      start: test.start,
+      end: test.end,
+      inFunction: Boolean(path.getFunctionParent())
+    });
   }
 
-  isVariableHoisted(varName, currentLine) {
-    // Check if variable is declared with var later in the code
-    for (const assignment of this.variableAssignments) {
-      if (assignment.name === varName && assignment.type === 'declaration' && assignment.line > currentLine) {
-        return true; // Variable is declared later, so it's hoisted
-      }
-    }
-    return false;
+  /**
+   * A branch point only depends on its variable's initializer while nothing
+   * can have assigned the variable before the condition runs; drop the others
+   */
+  dropReassignedBranchPoints(program) {
+    this.branchPoints = this.branchPoints.filter(point => {
+      const binding = program.scope.getOwnBinding(point.variable);
+      return !binding?.constantViolations.some(violation =>
+        point.inFunction || violation.getFunctionParent() || violation.node.start < point.start);
+    });
   }
 
-  // Alternative method: check raw code for var declarations
-  isVariableHoistedInCode(varName, currentLine, code) {
-    const lines = code.split('\n');
-    for (let i = currentLine; i < lines.length; i++) {
-      const line = lines[i];
-      // Look for var declarations
-      const varMatch = line.match(new RegExp(`\\bvar\\s+${varName}\\b`));
-      if (varMatch) {
-        return true; // Variable is declared later in the code
+  // Top-level variables initialized with a plain literal: the program's inputs
+  collectInputVariables(program) {
+    for (const stmt of program.node.body) {
+      if (stmt.type !== "VariableDeclaration") continue;
+      for (const decl of stmt.declarations) {
+        if (decl.id.type !== "Identifier" || !decl.init) continue;
+        const init = decl.init;
+        if (["NumericLiteral", "StringLiteral", "BooleanLiteral"].includes(init.type)) {
+          this.inputVariables.set(decl.id.name, init.value);
+        } else if (init.type === "UnaryExpression" && init.operator === "-" && init.argument.type === "NumericLiteral") {
+          this.inputVariables.set(decl.id.name, -init.argument.value);
+        }
       }
     }
-    return false;
-  }
-
-  extractOperator(test) {
-    return test.operator || (test.type === "BinaryExpression" ? test.operator : null);
   }
 
   // Helper method to check if a function body has a return statement
@@ -668,32 +489,6 @@ export class JSParser {
     return false;
   }
 
-  // Helper method to check if a loop body has a break statement
-  hasBreakStatement(body) {
-    if (!body) return false;
-    
-    if (body.type === "BlockStatement") {
-      return body.body.some(stmt => stmt.type === "BreakStatement");
-    } else if (body.type === "BreakStatement") {
-      return true;
-    }
-    
-    return false;
-  }
-
-  // Helper method to check if a loop body has a continue statement
-  hasContinueStatement(body) {
-    if (!body) return false;
-    
-    if (body.type === "BlockStatement") {
-      return body.body.some(stmt => stmt.type === "ContinueStatement");
-    } else if (body.type === "ContinueStatement") {
-      return true;
-    }
-    
-    return false;
-  }
-
   generateTests(code) {
     const tests = [];
 
@@ -718,6 +513,37 @@ export class JSParser {
       });
     });
 
+    this.compoundConditions.forEach(logic => {
+      tests.push({
+        type: "condition",
+        kind: "logical",
+        description: `Check if the condition ${formatCondition(logic)} is used`,
+        logic
+      });
+    });
+
+    this.switches.forEach(s => {
+      tests.push({
+        type: "condition",
+        kind: "switch",
+        description: `Check for a switch on ${s.variable} with cases ${s.cases.join(", ")}${s.hasDefault ? " and a default" : ""}`,
+        variable: s.variable,
+        cases: s.cases,
+        hasDefault: s.hasDefault
+      });
+    });
+
+    this.conditionChains.forEach(chain => {
+      const steps = chain.branches.map(branch => formatCondition(branch)).join(", else if ");
+      tests.push({
+        type: "condition",
+        kind: "chain",
+        description: `Check for the chain if ${steps}${chain.hasElse ? ", else" : ""}`,
+        branches: chain.branches,
+        hasElse: chain.hasElse
+      });
+    });
+
     this.objects.forEach(o => {
       if (o.type === 'object_method') {
         tests.push({
@@ -740,94 +566,136 @@ export class JSParser {
     this.outputs.forEach(o => {
       tests.push({
         type: "output",
-        description: `Should print '${o}' using console.log`,
-        expectedOutput: o
+        description: `Should print '${o.text}' using console.log`,
+        expectedOutput: o.text,
+        callSite: o.callSite
       });
     });
 
     this.events.forEach(e => {
+      const expected = expectationFromEffects(e.effects);
       tests.push({
         type: "event",
-        description: `Check ${e.element} handles '${e.event}' event`,
-        selector: `#${e.element}`,
+        description: describeExpectation(e.selector, e.event, expected),
+        selector: e.selector,
         event: e.event,
-        expected: { consoleOutput: `${e.event} event triggered` }
+        ...(expected ? { expected } : {})
       });
     });
 
-    // Generate function tests
-    this.functions.forEach(f => {
+    // Generate function tests, for the functions the validator can call by name
+    this.functions.filter(f => f.topLevel).forEach(f => {
       tests.push({
         type: "function",
         description: `Function '${f.name}' should be declared with ${f.parameters.length} parameter(s)`,
         functionName: f.name,
         expectedParameters: f.parameters,
+        ...(Object.keys(f.defaults).length > 0 ? { defaults: f.defaults } : {}),
+        ...(f.rest ? { rest: f.rest } : {}),
         hasReturn: f.hasReturn,
         functionType: f.type
       });
     });
 
-    // Generate DOM manipulation tests
+    // Generate DOM manipulation tests, one per way an element is looked up
+    const selections = new Set();
     this.domManipulations.forEach(d => {
-      if (d.type === 'element_selection') {
+      if (d.type === 'element_selection' && typeof d.selector === "string" && !selections.has(`${d.method} ${d.selector}`)) {
+        selections.add(`${d.method} ${d.selector}`);
         tests.push({
           type: "dom_structure",
-          description: `Should use ${d.method} to select element`,
+          description: `Should use ${d.method}("${d.selector}") to select the element`,
           method: d.method,
           selector: d.selector,
           expected: { method: d.method, selector: d.selector }
         });
-      } else if (d.type === 'innerHTML_access') {
-        tests.push({
-          type: "dom_structure",
-          description: `Should access innerHTML property of ${d.element}`,
-          element: d.element,
-          property: 'innerHTML',
-          expected: { element: d.element, property: 'innerHTML' }
-        });
       }
     });
+    for (const group of groupManipulations(this.domManipulations)) {
+      const expected = staticExpectation(group);
+      if (!expected) continue;
+      tests.push({
+        type: "dom_structure",
+        description: describeDOMExpectation(group.selector, group.all, expected),
+        selector: group.selector,
+        ...(group.all ? { all: true } : {}),
+        expected
+      });
+    }
+
+    // Generate class tests
+    this.classes.forEach(c => {
+      tests.push({
+        type: "class",
+        description: c.superClass
+          ? `Class '${c.name}' should extend ${c.superClass} and define ${c.methods.length} method(s)`
+          : `Class '${c.name}' should be declared with ${c.methods.length} method(s)`,
+        className: c.name,
+        superClass: c.superClass,
+        constructorParams: c.constructorParams,
+        methods: c.methods.map(m => m.name),
+        getters: c.getters,
+        setters: c.setters,
+        staticMembers: c.staticMembers,
+        fields: c.fields
+      });
+    });
+
+    // Generate one async test covering every asynchronous feature used
+    if (this.asyncOperations.length > 0) {
+      const features = [...new Set(this.asyncOperations.map(op => op.feature))];
+      tests.push({
+        type: "async",
+        description: `Should use asynchronous code: ${features.map(f => f.replace(':', ' ')).join(", ")}`,
+        features
+      });
+    }
 
     // Generate loop tests
     this.loops.forEach(l => {
-      tests.push({
-        type: "loop",
-        description: `Should use ${l.type.replace('_', ' ')} loop`,
-        loopType: l.type,
+      const test = {
+        loopType: l.loopType,
+        ...(l.functionName ? { functionName: l.functionName } : {}),
+        ...(l.subject ? { subject: l.subject } : {}),
         hasBreak: l.hasBreak,
         hasContinue: l.hasContinue,
         expectedLoops: 1
-      });
+      };
+      tests.push({ type: "loop", description: describeLoop(test), ...test });
+    });
+
+    this.recursion.forEach(r => {
+      const test = { functionName: r.functionName, ...(r.through.length > 0 ? { through: r.through } : {}) };
+      tests.push({ type: "recursion", description: describeRecursion(test), ...test });
+    });
+
+    // One test per method and receiver, however often the call is repeated
+    const seenCalls = new Set();
+    this.higherOrderCalls.forEach(call => {
+      const key = JSON.stringify([call.method, call.variable]);
+      if (seenCalls.has(key)) return;
+      seenCalls.add(key);
+      const test = { method: call.method, ...(call.variable ? { variable: call.variable } : {}) };
+      tests.push({ type: "higher_order", description: describeHigherOrder(test), ...test });
     });
 
     // Add tests for commented code
     this.commentedCode.forEach(comment => {
       if (comment.type === 'variable') {
-        // Extract variable name and value from commented code
-        const varMatch = comment.content.match(/(?:const|let|var)\s+(\w+)\s*=\s*([^;]+);?/);
-        if (varMatch) {
-          const varName = varMatch[1];
-          const varValue = varMatch[2].trim();
-          tests.push({
-            type: "commented_variable",
-            description: `Commented variable '${varName}' should be uncommented with value ${varValue}`,
-            variable: varName,
-            expectedValue: varValue,
-            comment: comment.content
-          });
-        }
-      } else if (comment.type === 'output') {
-        // Extract expected output from commented console.log
-        const outputMatch = comment.content.match(/console\.log\((.+)\);?/);
-        if (outputMatch) {
-          const expectedOutput = outputMatch[1].replace(/['"]/g, '').trim();
-          tests.push({
-            type: "commented_output",
-            description: `Commented console output should be uncommented: ${expectedOutput}`,
-            expectedOutput: expectedOutput,
-            comment: comment.content
-          });
-        }
+        tests.push({
+          type: "commented_variable",
+          description: `Commented variable '${comment.name}' should be uncommented with value ${comment.value}`,
+          variable: comment.name,
+          expectedValue: comment.value,
+          comment: comment.content
+        });
+      } else if (comment.type === 'output' && comment.output) {
+        tests.push({
+          type: "commented_output",
+          description: `Commented console output should be uncommented: ${comment.output}`,
+          expectedOutput: comment.output,
+          comment: comment.content
+        });
       } else if (comment.type === 'explanation') {
         // Add explanation test for educational purposes
         tests.push({
@@ -838,13 +706,15 @@ export class JSParser {
       }
     });
 
-    if (tests.length === 0) {
-      tests.push({
+    const annotated = applyDirectives(tests, this.directives);
+
+    if (annotated.length === 0) {
+      annotated.push({
         type: "generic",
         description: "No clear logic detected; manual validation needed."
       });
     }
 
-    return tests;
+    return annotated;
   }
 }
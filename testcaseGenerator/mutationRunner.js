@@ -0,0 +1,98 @@
+import { Worker } from "worker_threads";
+import { Mutator } from "./mutator.js";
+import { collectRequiredSelectors } from "../testcaseValidator/validator.js";
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Scores a generated test suite: every mutant of the reference solution is
+ * run through the validator's handlers, and a mutant counts as killed when at
+ * least one test fails on it (or it never finishes).
+ */
+export class MutationRunner {
+  constructor(options = {}) {
+    this.mutator = options.mutator || new Mutator(options);
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * @param {Object} entry - A Code_Validation entry: { Ans, structure }
+   * @param {Function} onProgress - Called with (done, total) after each mutant
+   * @param {Object} page - { html }: the document the tests run against
+   * @returns {Promise<Object>} Mutation report
+   */
+  async run(entry, onProgress = () => {}, page = {}) {
+    const code = entry.Ans || "";
+    const tests = Array.isArray(entry.structure) ? entry.structure : [];
+    const requiredSelectors = [...collectRequiredSelectors(code, tests)];
+
+    // Tests that already fail on the reference solution say nothing about mutants
+    const baseline = await this.runWorker(code, tests, requiredSelectors, page.html);
+    if (!baseline) throw new Error("Reference solution did not finish running");
+    const usable = tests
+      .map((test, index) => ({ test, index }))
+      .filter(({ index }) => baseline[index].status === "passed");
+    const brokenTests = tests
+      .map((test, index) => ({ index, type: test.type, description: test.description, ...baseline[index] }))
+      .filter(t => t.status !== "passed");
+
+    const mutants = this.mutator.generate(code);
+    const kills = new Map(usable.map(({ index }) => [index, 0]));
+    const results = [];
+
+    for (const mutant of mutants) {
+      const outcome = await this.runWorker(mutant.code, usable.map(u => u.test), requiredSelectors, page.html);
+      let status;
+      let killedBy = [];
+      if (!outcome) {
+        status = "timeout";
+      } else {
+        killedBy = usable.filter((_, i) => outcome[i].status === "failed").map(u => u.index);
+        status = killedBy.length > 0 ? "killed" : "survived";
+        killedBy.forEach(index => kills.set(index, kills.get(index) + 1));
+      }
+      const { code: _, ...info } = mutant;
+      results.push({ ...info, status, killedBy });
+      onProgress(results.length, mutants.length);
+    }
+
+    const survivors = results.filter(r => r.status === "survived");
+    const detected = results.length - survivors.length;
+
+    return {
+      mutants: results.length,
+      killed: results.filter(r => r.status === "killed").length,
+      timedOut: results.filter(r => r.status === "timeout").length,
+      survived: survivors.length,
+      score: results.length > 0 ? Math.round((detected / results.length) * 100) : null,
+      survivors: survivors.map(({ killedBy, status, ...info }) => info),
+      weakTests: usable
+        .filter(({ index }) => kills.get(index) === 0)
+        .map(({ test, index }) => ({ index, type: test.type, description: test.description })),
+      brokenTests,
+      results
+    };
+  }
+
+  // Resolves with one result per test, or null when the code did not finish in time
+  runWorker(code, tests, requiredSelectors, html = null) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL("./mutationWorker.js", import.meta.url), {
+        workerData: { code, tests, requiredSelectors, html }
+      });
+      const timer = setTimeout(() => {
+        worker.terminate();
+        resolve(null);
+      }, this.timeoutMs);
+      worker.once("message", (results) => {
+        clearTimeout(timer);
+        worker.terminate();
+        resolve(results);
+      });
+      worker.once("error", (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+  }
+}
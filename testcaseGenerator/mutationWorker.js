@@ -0,0 +1,19 @@
+import { parentPort, workerData } from "worker_threads";
+import { runTest } from "../testcaseValidator/validator.js";
+
+// Runs every test against one version of the code. Lives in a worker so a
+// mutant that loops forever can be terminated from outside.
+const { code, tests, requiredSelectors, html } = workerData;
+const selectors = new Set(requiredSelectors);
+const results = [];
+
+for (const test of tests) {
+  try {
+    const handled = await runTest(code, test, { requiredSelectors: selectors, html });
+    results.push({ status: handled ? "passed" : "skipped" });
+  } catch (err) {
+    results.push({ status: "failed", message: err?.message || String(err) });
+  }
+}
+
+parentPort.postMessage(results);
@@ -0,0 +1,160 @@
+import { parse } from "@babel/parser";
+
+const DEFAULT_MAX_MUTANTS = 60;
+
+// Same options JSParser uses, so anything it can analyze can be mutated
+const PARSE_OPTIONS = { sourceType: "module", plugins: ["jsx", "typescript"] };
+
+// Each operator is replaced by the one a student is most likely to confuse it with
+const OPERATOR_SWAPS = {
+  "<": ">=", ">=": "<", ">": "<=", "<=": ">",
+  "===": "!==", "!==": "===", "==": "!=", "!=": "==",
+  "+": "-", "-": "+", "*": "/", "/": "*", "%": "*",
+  "&&": "||", "||": "&&"
+};
+
+/**
+ * Builds small wrong versions ("mutants") of a reference solution by editing
+ * its source: flipped operators, changed literals, deleted statements and
+ * swapped branches. A good test suite should fail on every one of them.
+ */
+export class Mutator {
+  constructor(options = {}) {
+    this.maxMutants = options.maxMutants || DEFAULT_MAX_MUTANTS;
+  }
+
+  /**
+   * @param {string} code - Reference solution
+   * @returns {Array} Mutants: { id, kind, line, description, code }
+   */
+  generate(code) {
+    const ast = parse(code, PARSE_OPTIONS);
+
+    const edits = [];
+    const visit = (node, parent, key) => {
+      if (!node || typeof node.type !== "string") return;
+      edits.push(...this.editsFor(node, parent, key, code));
+      for (const childKey of Object.keys(node)) {
+        if (childKey === "loc" || childKey.endsWith("Comments")) continue;
+        const child = node[childKey];
+        if (Array.isArray(child)) child.forEach(c => visit(c, node, childKey));
+        else if (child && typeof child === "object") visit(child, node, childKey);
+      }
+    };
+    visit(ast.program, null, null);
+
+    const mutants = [];
+    const seen = new Set([code]);
+    for (const edit of edits) {
+      const mutated = edit.changes
+        .slice()
+        .sort((a, b) => b.start - a.start)
+        .reduce((text, c) => text.slice(0, c.start) + c.text + text.slice(c.end), code);
+      if (seen.has(mutated) || !this.parses(mutated)) continue;
+      seen.add(mutated);
+      mutants.push({
+        id: `m${mutants.length + 1}`,
+        kind: edit.kind,
+        line: edit.line,
+        description: edit.description,
+        code: mutated
+      });
+      if (mutants.length >= this.maxMutants) break;
+    }
+    return mutants;
+  }
+
+  editsFor(node, parent, key, code) {
+    const line = node.loc?.start.line;
+    const source = (n) => code.slice(n.start, n.end);
+
+    switch (node.type) {
+      case "BinaryExpression":
+      case "LogicalExpression": {
+        const replacement = OPERATOR_SWAPS[node.operator];
+        if (!replacement) return [];
+        // The operator sits between the operands, possibly after a closing paren
+        const gap = code.slice(node.left.end, node.right.start);
+        const offset = gap.indexOf(node.operator);
+        if (offset < 0) return [];
+        const start = node.left.end + offset;
+        return [{
+          kind: "operator",
+          line,
+          description: `Replaced ${node.operator} with ${replacement} in \`${this.shorten(source(node))}\``,
+          changes: [{ start, end: start + node.operator.length, text: replacement }]
+        }];
+      }
+
+      case "NumericLiteral": {
+        if (key === "key" && !parent.computed) return [];
+        const value = node.value === 0 ? 1 : node.value + 1;
+        return [this.replace(node, "literal", `Changed ${source(node)} to ${value}`, String(value))];
+      }
+
+      case "StringLiteral": {
+        if ((key === "key" && !parent.computed) || parent?.type === "ImportDeclaration" || key === "source") return [];
+        const value = node.value === "" ? "mutated" : "";
+        return [this.replace(node, "literal", `Changed ${source(node)} to ${JSON.stringify(value)}`, JSON.stringify(value))];
+      }
+
+      case "BooleanLiteral":
+        return [this.replace(node, "literal", `Changed ${node.value} to ${!node.value}`, String(!node.value))];
+
+      case "ExpressionStatement":
+      case "ReturnStatement":
+      case "BreakStatement":
+      case "ContinueStatement": {
+        // Only statements that sit in a list can be removed without breaking syntax
+        if (key !== "body" && key !== "consequent") return [];
+        if (!Array.isArray(parent[key])) return [];
+        return [this.replace(node, "delete", `Deleted \`${this.shorten(source(node))}\``, ";")];
+      }
+
+      case "IfStatement": {
+        if (!node.alternate || node.alternate.type === "IfStatement") return [];
+        return [{
+          kind: "swap",
+          line,
+          description: `Swapped the branches of \`if (${source(node.test)})\``,
+          changes: [
+            { start: node.consequent.start, end: node.consequent.end, text: source(node.alternate) },
+            { start: node.alternate.start, end: node.alternate.end, text: source(node.consequent) }
+          ]
+        }];
+      }
+
+      case "ConditionalExpression":
+        return [{
+          kind: "swap",
+          line,
+          description: `Swapped the branches of \`${this.shorten(source(node))}\``,
+          changes: [
+            { start: node.consequent.start, end: node.consequent.end, text: source(node.alternate) },
+            { start: node.alternate.start, end: node.alternate.end, text: source(node.consequent) }
+          ]
+        }];
+
+      default:
+        return [];
+    }
+  }
+
+  replace(node, kind, description, text) {
+    return { kind, line: node.loc?.start.line, description, changes: [{ start: node.start, end: node.end, text }] };
+  }
+
+  shorten(text) {
+    const flat = text.replace(/\s+/g, " ");
+    return flat.length > 50 ? `${flat.slice(0, 47)}...` : flat;
+  }
+
+  parses(code) {
+    try {
+      parse(code, PARSE_OPTIONS);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import postcss from "postcss";
+import nested from "postcss-nested";
+import { normalizeCssValue, normalizeColor } from "../../testcaseValidator/cssValues.js";
+
+const LAYOUT_PROPERTIES = /^(display|position|top|right|bottom|left|float|clear|z-index|overflow(-[xy])?|box-sizing|(min-|max-)?(width|height)|margin(-.+)?|padding(-.+)?|gap|row-gap|column-gap|flex(-.+)?|justify-.+|align-.+|order|grid(-.+)?|place-.+)$/;
+
+const COLOR_TOKEN = /#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?)\([^)]*\)|\b[a-z]+\b/gi;
+
+// Pseudo-elements and interaction states a test cannot put the page in
+const STATEFUL_SELECTOR = /::|:(hover|focus|focus-within|focus-visible|active|visited|before|after|first-line|first-letter)\b/i;
+
+export class CSSParser {
+  /**
+   * @param {string} css - Stylesheet source (nesting is flattened first)
+   * @returns {Promise<Object>} { styleTests, selectors, properties, colors, layoutProperties, mediaQueries }
+   */
+  async parse(css) {
+    const { root } = await postcss([nested]).process(css || "", { from: undefined });
+
+    const selectors = new Set();
+    const colors = new Set();
+    const layoutProperties = [];
+    const mediaQueries = new Map();
+    // selector|property|media -> declaration; later rules win, like the cascade
+    const declarations = new Map();
+
+    root.walkRules(rule => {
+      if (rule.parent?.type === "atrule" && /keyframes$/i.test(rule.parent.name)) return;
+      const media = this.mediaOf(rule);
+
+      for (const selector of rule.selectors) {
+        selectors.add(selector);
+        if (media) {
+          if (!mediaQueries.has(media)) mediaQueries.set(media, new Set());
+          mediaQueries.get(media).add(selector);
+        }
+
+        rule.walkDecls(decl => {
+          if (decl.parent !== rule || decl.prop.startsWith("--")) return;
+          const property = decl.prop.toLowerCase();
+          const value = normalizeCssValue(property, decl.value);
+
+          for (const token of decl.value.match(COLOR_TOKEN) || []) {
+            const color = normalizeColor(token);
+            if (color) colors.add(color);
+          }
+          if (LAYOUT_PROPERTIES.test(property)) {
+            layoutProperties.push({ selector, property, value, ...(media ? { media } : {}) });
+          }
+
+          const key = `${selector}|${property}|${media || ""}`;
+          const previous = declarations.get(key);
+          // !important beats later normal declarations
+          if (previous?.important && !decl.important) return;
+          declarations.delete(key);
+          declarations.set(key, { selector, property, value, original: decl.value.trim(), media, important: decl.important });
+        });
+      }
+    });
+
+    // Effective (not merely last-declared) values outside media queries
+    const properties = {};
+    for (const d of declarations.values()) {
+      if (d.media) continue;
+      properties[d.selector] = properties[d.selector] || {};
+      properties[d.selector][d.property] = d.value;
+    }
+
+    return {
+      styleTests: this.generateTests([...declarations.values()]),
+      selectors: [...selectors],
+      properties,
+      colors: [...colors],
+      layoutProperties,
+      mediaQueries: [...mediaQueries].map(([query, list]) => ({ query, selectors: [...list] }))
+    };
+  }
+
+  mediaOf(rule) {
+    const queries = [];
+    for (let node = rule.parent; node; node = node.parent) {
+      if (node.type === "atrule" && node.name.toLowerCase() === "media") queries.unshift(node.params);
+    }
+    return queries.length > 0 ? queries.join(" and ") : null;
+  }
+
+  /**
+   * One `style` test per selector and property. Values are stored in their
+   * normalized form; the validator normalizes computed values the same way.
+   * @param {Array} declarations
+   * @returns {Array}
+   */
+  generateTests(declarations) {
+    return declarations
+      .filter(d => !STATEFUL_SELECTOR.test(d.selector) && !/\bvar\(/i.test(d.value))
+      .map(d => ({
+        type: "style",
+        description: `${d.selector} should have ${d.property}: ${d.original}${d.media ? ` when @media ${d.media}` : ""}`,
+        selector: d.selector,
+        property: d.property,
+        expected: d.value,
+        ...(d.media ? { media: d.media } : {})
+      }));
+  }
+}
@@ -0,0 +1,215 @@
+import { parseDocument } from "htmlparser2";
+
+// Elements that never say anything about the page structure students build
+const IGNORED_TAGS = new Set(["html", "head", "body", "script", "style", "meta", "link", "title", "base", "noscript"]);
+
+const INTERACTIVE_TAGS = new Set(["button", "a", "input", "select", "textarea", "form", "details", "summary", "label"]);
+const FORM_CONTROL_TAGS = new Set(["input", "select", "textarea", "button"]);
+
+// Raw text of these differs between parsers (leading newlines are dropped)
+const RAW_TEXT_TAGS = new Set(["textarea", "pre"]);
+
+// Attributes that are reflected as DOM properties with the same value, so the
+// validator can compare `element[property]` directly
+const REFLECTED_ATTRIBUTES = {
+  type: "type",
+  name: "name",
+  placeholder: "placeholder",
+  for: "htmlFor",
+  alt: "alt",
+  min: "min",
+  max: "max"
+};
+const BOOLEAN_ATTRIBUTES = ["required", "disabled", "checked", "readonly", "multiple"];
+const BOOLEAN_PROPERTIES = { readonly: "readOnly" };
+
+export class HTMLParser {
+  /**
+   * @param {string} html - HTML source
+   * @returns {Object} { elements, tree, selectors, ids, classes, forms, inputs, interactiveElements, structure }
+   */
+  parse(html) {
+    const document = parseDocument(html || "", { lowerCaseTags: true, lowerCaseAttributeNames: true });
+
+    this.elements = [];
+    this.tagCounts = new Map();
+    const tree = this.walk(document.children, null, 0);
+    this.assignSelectors(this.elements);
+    const structure = this.generateTests(this.elements);
+
+    const elements = this.elements.map(({ node, parent, form, rawText, leaf, ...info }) => ({
+      ...info,
+      parent: parent ? parent.selector : null,
+      form: form ? form.selector : null
+    }));
+    this.treeToSelectors(tree);
+
+    const ids = elements.filter(el => el.id).map(el => el.id);
+    const classes = [...new Set(elements.flatMap(el => el.classes))];
+    const inputs = elements.filter(el => FORM_CONTROL_TAGS.has(el.tag) && el.tag !== "button");
+    const forms = elements.filter(el => el.tag === "form").map(form => ({
+      selector: form.selector,
+      action: form.attributes.action ?? null,
+      method: (form.attributes.method || "get").toLowerCase(),
+      inputs: elements.filter(el => el.form === form.selector && FORM_CONTROL_TAGS.has(el.tag)).map(el => el.selector)
+    }));
+
+    return {
+      elements,
+      tree,
+      selectors: elements.map(el => el.selector),
+      ids,
+      classes,
+      forms,
+      inputs,
+      interactiveElements: elements.filter(el => this.isInteractive(el)),
+      structure
+    };
+  }
+
+  walk(nodes, parent, depth) {
+    const tree = [];
+    for (const node of nodes) {
+      if (node.type !== "tag" && node.type !== "script" && node.type !== "style") continue;
+
+      const attributes = { ...node.attribs };
+      const childElements = node.children.filter(c => c.type === "tag");
+      const record = {
+        node,
+        parent,
+        tag: node.name,
+        id: attributes.id || null,
+        classes: (attributes.class || "").split(/\s+/).filter(Boolean),
+        attributes,
+        text: this.textOf(node).replace(/\s+/g, " ").trim(),
+        rawText: this.textOf(node),
+        leaf: childElements.length === 0,
+        depth,
+        form: null
+      };
+      for (let p = parent; p; p = p.parent) {
+        if (p.tag === "form") { record.form = p; break; }
+      }
+      this.elements.push(record);
+
+      const counts = this.tagCounts;
+      counts.set(record.tag, (counts.get(record.tag) || 0) + 1);
+      tree.push({ element: record, children: this.walk(node.children, record, depth + 1) });
+    }
+    return tree;
+  }
+
+  textOf(node) {
+    if (node.type === "text") return node.data;
+    if (!node.children || node.type === "comment") return "";
+    return node.children.map(child => this.textOf(child)).join("");
+  }
+
+  // Shortest selector that still picks out exactly this element
+  assignSelectors(records) {
+    const idCounts = new Map();
+    records.forEach(r => r.id && idCounts.set(r.id, (idCounts.get(r.id) || 0) + 1));
+
+    const classCombo = (r) => `${r.tag}${r.classes.map(c => `.${this.escape(c)}`).join("")}`;
+    const comboCounts = new Map();
+    records.forEach(r => {
+      if (r.classes.length > 0) comboCounts.set(classCombo(r), (comboCounts.get(classCombo(r)) || 0) + 1);
+    });
+
+    for (const r of records) {
+      if (r.id && idCounts.get(r.id) === 1) {
+        r.selector = /^[A-Za-z][\w-]*$/.test(r.id) ? `#${r.id}` : `[id="${r.id.replace(/"/g, '\\"')}"]`;
+      } else if (r.classes.length > 0 && comboCounts.get(classCombo(r)) === 1) {
+        r.selector = classCombo(r);
+      } else if (this.tagCounts.get(r.tag) === 1) {
+        r.selector = r.tag;
+      } else {
+        const siblings = r.parent ? r.parent.node.children : r.node.parent?.children || [r.node];
+        const sameTag = siblings.filter(s => s.type === r.node.type && s.name === r.tag);
+        const position = `${r.tag}:nth-of-type(${sameTag.indexOf(r.node) + 1})`;
+        r.selector = r.parent ? `${r.parent.selector} > ${position}` : position;
+      }
+    }
+  }
+
+  treeToSelectors(tree) {
+    for (const entry of tree) {
+      entry.tag = entry.element.tag;
+      entry.selector = entry.element.selector;
+      delete entry.element;
+      this.treeToSelectors(entry.children);
+    }
+  }
+
+  escape(name) {
+    return name.replace(/([^\w-])/g, "\\$1");
+  }
+
+  isInteractive(el) {
+    if (el.tag === "a") return "href" in el.attributes;
+    if (el.tag === "input") return el.attributes.type !== "hidden";
+    return INTERACTIVE_TAGS.has(el.tag) ||
+      Object.keys(el.attributes).some(name => name.startsWith("on")) ||
+      "tabindex" in el.attributes ||
+      "contenteditable" in el.attributes;
+  }
+
+  /**
+   * @param {Object} element - Element record from parse()
+   * @returns {string} CSS selector for the element
+   */
+  getElementSelector(element) {
+    if (element.selector) return element.selector;
+    if (element.id) return `#${element.id}`;
+    return `${element.tag}${(element.classes || []).map(c => `.${c}`).join("")}`;
+  }
+
+  /**
+   * dom_structure tests for elements students are expected to create:
+   * anything with an id plus interactive and form elements
+   * @param {Array} elements - Internal element records
+   * @returns {Array}
+   */
+  generateTests(elements) {
+    const tests = [];
+    for (const el of elements) {
+      if (IGNORED_TAGS.has(el.tag) || this.insideHead(el)) continue;
+      if (!el.id && !this.isInteractive(el)) continue;
+
+      const expected = { tagName: el.tag.toUpperCase() };
+      const details = [`<${el.tag}>`];
+
+      if (el.leaf && el.text && !RAW_TEXT_TAGS.has(el.tag)) {
+        expected.textContent = el.rawText;
+        details.push(`text "${el.text}"`);
+      }
+      for (const [attribute, property] of Object.entries(REFLECTED_ATTRIBUTES)) {
+        if (attribute in el.attributes) {
+          expected[property] = attribute === "type" ? el.attributes.type.toLowerCase() : el.attributes[attribute];
+          details.push(`${attribute}="${el.attributes[attribute]}"`);
+        }
+      }
+      for (const attribute of BOOLEAN_ATTRIBUTES) {
+        if (attribute in el.attributes) {
+          expected[BOOLEAN_PROPERTIES[attribute] || attribute] = true;
+          details.push(attribute);
+        }
+      }
+
+      tests.push({
+        type: "dom_structure",
+        description: `Element ${el.selector} should exist as ${details.join(", ")}`,
+        selector: el.selector,
+        expected
+      });
+    }
+    return tests;
+  }
+
+  insideHead(el) {
+    for (let parent = el.parent; parent; parent = parent.parent) {
+      if (parent.tag === "head") return true;
+    }
+    return false;
+  }
+}
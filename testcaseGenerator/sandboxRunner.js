@@ -0,0 +1,631 @@
+import vm from "vm";
+import { JSDOM } from "jsdom";
+import { FakeClock } from "../testcaseValidator/fakeClock.js";
+import { runScript, readBinding } from "../testcaseValidator/scripts.js";
+import { instrumentLoops, createLoopProbe, LOOP_PROBE } from "../testcaseValidator/loops.js";
+import { instrumentFunctions, createCallProbe, CALL_PROBE } from "../testcaseValidator/recursion.js";
+import { spyOnArrayMethods } from "../testcaseValidator/higherOrder.js";
+
+// Keep in step with the validator's STUDENT_EXEC_WAIT_MS so timers that fire
+// there also fire here
+const DEFAULT_SETTLE_MS = 60;
+const DEFAULT_TIMEOUT_MS = 1000;
+// Intervals never run dry, so the recorded timeline stops after this many steps
+const MAX_TIMELINE_STEPS = 10;
+
+// Conditions wrapped in a call to this report which way they went
+export const BRANCH_PROBE = "__branchProbe";
+
+const RECORDED_DOM_PROPERTIES = ["textContent", "innerHTML", "className", "value"];
+// Covered by the element's selector, className and the style tests
+const UNRECORDED_ATTRIBUTES = new Set(["id", "class", "style"]);
+// How long the validator waits after dispatching an event
+const EVENT_SETTLE_MS = 10;
+
+/**
+ * Runs reference code inside an instrumented JSDOM page and records what
+ * actually happened: final values of top-level variables, console output and
+ * the resulting state of the elements the code touched.
+ */
+export class SandboxRunner {
+  constructor(options = {}) {
+    this.settleMs = options.settleMs ?? DEFAULT_SETTLE_MS;
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * @param {string} code - Reference solution
+   * @param {Object} options
+   * @param {Array<string>} options.globals - Top-level variable names to read back
+   * @param {Array<string>} options.elementIds - Ids to stub as elements before running
+   * @param {Array<Object>} options.before - [{ name, code }] scripts the page
+   *   loads before the reference, run first
+   * @param {string} options.html - Document to run against instead of stubs
+   * @returns {Promise<Object>} { variables, outputs, outputSites, dom, branches, error },
+   *   outputSites holding the { line, column } of the console call behind each
+   *   output, branches the outcome of each `__branchProbe(condition)` in the
+   *   order they ran
+   */
+  async run(code, options = {}) {
+    const { globals = [] } = options;
+    const { window, context, outputs, outputSites } = this.createPage(options);
+    const branches = [];
+    window[BRANCH_PROBE] = (value) => {
+      branches.push(Boolean(value));
+      return value;
+    };
+
+    const initialDom = this.snapshotElements(window.document);
+    const error = this.execute(code, context);
+
+    if (this.settleMs > 0) {
+      await new Promise(r => setTimeout(r, this.settleMs));
+    }
+
+    const variables = new Map();
+    for (const name of globals) {
+      const read = this.readGlobal(name, window);
+      if (read.ok) variables.set(name, read.value);
+    }
+
+    const finalDom = this.snapshotElements(window.document);
+    const domChanges = [];
+    for (const [id, after] of finalDom) {
+      const before = initialDom.get(id);
+      const changed = {};
+      for (const prop of RECORDED_DOM_PROPERTIES) {
+        // Elements the code created are only described by what it set on them
+        if (prop in after && (before ? before[prop] !== after[prop] : after[prop] !== "")) changed[prop] = after[prop];
+      }
+      // innerHTML already covers textContent when the element has children
+      if ("innerHTML" in changed && after.childElementCount === 0) delete changed.innerHTML;
+      else delete changed.textContent;
+
+      const attributes = {};
+      for (const name of new Set([...Object.keys(before?.attributes || {}), ...Object.keys(after.attributes)])) {
+        if (before?.attributes[name] !== after.attributes[name]) attributes[name] = after.attributes[name] ?? null;
+      }
+      if (Object.keys(attributes).length > 0) changed.attributes = attributes;
+      if (Object.keys(changed).length > 0) {
+        domChanges.push({ selector: `#${id}`, tag: after.tag, expected: changed });
+      }
+    }
+
+    try { window.close(); } catch {}
+
+    return { variables, outputs, outputSites, dom: domChanges, branches, error };
+  }
+
+  /**
+   * Run the reference twice and keep only what both runs agree on, so values
+   * that come from Math.random(), Date and the like are not recorded as facts
+   * @param {string} code - Reference solution
+   * @param {Object} options - Same as run()
+   * @returns {Promise<Object>} Same as run(), with the first run's error
+   */
+  async runStable(code, options = {}) {
+    const first = await this.run(code, options);
+    const second = await this.run(code, options);
+
+    const variables = new Map([...first.variables].filter(([name, value]) =>
+      second.variables.has(name) && sameJSON(value, second.variables.get(name))));
+    const kept = first.outputs.map(output => second.outputs.includes(output));
+    const outputs = first.outputs.filter((_, i) => kept[i]);
+    const outputSites = first.outputSites.filter((_, i) => kept[i]);
+    const dom = [];
+    for (const change of first.dom) {
+      const other = second.dom.find(c => c.selector === change.selector);
+      const expected = Object.fromEntries(Object.entries(change.expected)
+        .filter(([prop, value]) => other && prop in other.expected && sameJSON(value, other.expected[prop])));
+      if (Object.keys(expected).length > 0) dom.push({ ...change, expected });
+    }
+    const branches = sameJSON(first.branches, second.branches) ? first.branches : [];
+    return { variables, outputs, outputSites, dom, branches, error: first.error };
+  }
+
+  /**
+   * Load the reference code, then call its functions with each input in turn
+   * @param {string} code - Reference solution
+   * @param {Array<Object>} calls - [{ name, inputs: [[...args], ...] }]
+   * @param {Object} options - Same page options as run()
+   * @returns {Promise<Map>} Function name -> [{ input, expected }]
+   */
+  async callFunctions(code, calls, options = {}) {
+    const { window, context } = this.createPage(options);
+    const results = new Map();
+
+    if (this.execute(code, context) === null) {
+      for (const { name, inputs } of calls) {
+        const cases = [];
+        for (const input of inputs) {
+          const args = input.map(arg => JSON.stringify(arg)).join(", ");
+          try {
+            const value = new vm.Script(`${name}(${args})`).runInContext(context, { timeout: this.timeoutMs });
+            const plain = this.toPlain(value);
+            if (plain.ok) cases.push({ input, expected: plain.value });
+          } catch {
+            // Inputs the reference itself rejects make no test
+          }
+        }
+        results.set(name, cases);
+      }
+    }
+
+    try { window.close(); } catch {}
+    return results;
+  }
+
+  /**
+   * Instantiate each class and run its scripted calls in sequence, recording
+   * return values and the resulting instance state
+   * @param {string} code - Reference solution
+   * @param {Array<Object>} plans - [{ name, constructorArgs, calls: [{ method, args } | { property }] }]
+   * @param {Object} options - Same page options as run()
+   * @returns {Promise<Map>} Class name -> { constructorArgs, calls, expectedState }
+   */
+  async exerciseClasses(code, plans, options = {}) {
+    const { window, context } = this.createPage(options);
+    const results = new Map();
+
+    if (this.execute(code, context) === null) {
+      for (const plan of plans) {
+        try {
+          const Cls = new vm.Script(plan.name).runInContext(context, { timeout: this.timeoutMs });
+          const instance = new Cls(...plan.constructorArgs);
+          const calls = [];
+
+          for (const call of plan.calls) {
+            try {
+              const value = "property" in call ? instance[call.property] : instance[call.method](...call.args);
+              const plain = this.toPlain(value);
+              calls.push(plain.ok ? { ...call, expected: plain.value } : call);
+            } catch {
+              // Stop at the first call the reference rejects, later state depends on it
+              break;
+            }
+          }
+
+          const state = this.toPlain({ ...instance });
+          results.set(plan.name, {
+            constructorArgs: plan.constructorArgs,
+            calls,
+            expectedState: state.ok ? state.value : undefined
+          });
+        } catch {
+          // Not constructible with the synthesized arguments
+        }
+      }
+    }
+
+    try { window.close(); } catch {}
+    return results;
+  }
+
+  /**
+   * Load the reference, dispatch one event and record what it printed and
+   * which elements changed, on a fresh page per listener
+   * @param {string} code - Reference solution
+   * @param {Array<Object>} listeners - [{ selector, event, watch }], watch
+   *   listing further selectors (beyond elements with ids) to compare
+   * @param {Object} options - Same page options as run()
+   * @returns {Promise<Array>} Per listener { consoleOutput, elements }, or null
+   *   when the element is missing or the reference fails
+   */
+  async fireEvents(code, listeners, options = {}) {
+    const results = [];
+
+    for (const listener of listeners) {
+      const { window, context, outputs } = this.createPage(options);
+      const { document } = window;
+      const target = this.execute(code, context) === null ? firstMatch(document, listener.selector) : null;
+      if (!target) {
+        results.push(null);
+        try { window.close(); } catch {}
+        continue;
+      }
+      if (this.settleMs > 0) await new Promise(r => setTimeout(r, this.settleMs));
+
+      const watched = () => new Set([...document.querySelectorAll("[id]"),
+        ...(listener.watch || []).map(selector => firstMatch(document, selector)).filter(Boolean)]);
+      const before = new Map([...watched()].map(el => [el, this.elementState(el)]));
+      const seen = outputs.length;
+
+      // Same event and wait as the validator's event tests
+      target.dispatchEvent(new window.Event(listener.event, { bubbles: true }));
+      await new Promise(r => setTimeout(r, EVENT_SETTLE_MS));
+
+      const elements = {};
+      for (const el of watched()) {
+        const changes = this.stateChanges(before.get(el), this.elementState(el), el);
+        if (Object.keys(changes).length === 0) continue;
+        const selector = el.id ? `#${el.id}` : listener.watch.find(s => firstMatch(document, s) === el);
+        elements[selector] = changes;
+      }
+      results.push({ consoleOutput: outputs.slice(seen), elements });
+      try { window.close(); } catch {}
+    }
+    return results;
+  }
+
+  /**
+   * Run the reference with its loops instrumented, the way the validator runs
+   * loop tests
+   * @param {string} code - Reference solution
+   * @param {Object} options - Same page options as run()
+   * @returns {Promise<Array|null>} Per loop in source order
+   *   { iterations, breaks, continues }, or null when the reference fails
+   */
+  async countLoops(code, options = {}) {
+    const { window, context } = this.createPage(options);
+    const { code: instrumented, loops } = instrumentLoops(code);
+    const probe = createLoopProbe(loops.length);
+    window[LOOP_PROBE] = probe;
+
+    const error = this.execute(instrumented, context);
+    if (this.settleMs > 0) await new Promise(r => setTimeout(r, this.settleMs));
+    try { window.close(); } catch {}
+    return error === null ? probe.counts : null;
+  }
+
+  /**
+   * How deep recursive functions go on the reference, on a fresh page per
+   * call, the way the validator measures recursion tests
+   * @param {string} code - Reference solution
+   * @param {Array<Object>} calls - [{ name, args }], args null to measure
+   *   while the page loads instead of calling
+   * @param {Object} options - Same page options as run()
+   * @returns {Promise<Array>} Deepest nesting per call, null when it throws
+   */
+  async measureRecursion(code, calls, options = {}) {
+    const { code: instrumented } = instrumentFunctions(code);
+    const depths = [];
+
+    for (const call of calls) {
+      const { window, context } = this.createPage(options);
+      const probe = createCallProbe();
+      window[CALL_PROBE] = probe;
+      let depth = null;
+
+      if (this.execute(instrumented, context) === null) {
+        if (this.settleMs > 0) await new Promise(r => setTimeout(r, this.settleMs));
+        try {
+          if (call.args) {
+            probe.reset();
+            const args = call.args.map(arg => JSON.stringify(arg)).join(", ");
+            new vm.Script(`${call.name}(${args})`).runInContext(context, { timeout: this.timeoutMs });
+          }
+          depth = probe.maxDepth(call.name);
+        } catch {
+          // Inputs the reference itself rejects, or recursion without end
+        }
+      }
+      depths.push(depth);
+      try { window.close(); } catch {}
+    }
+    return depths;
+  }
+
+  /**
+   * Load the reference with array methods spied on
+   * @param {string} code - Reference solution
+   * @param {Array<string>} methods - e.g. ["map", "reduce"]
+   * @param {Object} options - Same page options as run()
+   * @returns {Promise<Object|null>} { counts: method -> calls while loading,
+   *   sites: [{ method, line, column }] of the calls made in the reference },
+   *   or null when the reference fails
+   */
+  async countArrayMethods(code, methods, options = {}) {
+    const { window, context } = this.createPage(options);
+    const sites = [];
+    const spy = spyOnArrayMethods(window.Array, methods, (method) => {
+      const site = callSite(new Error().stack);
+      if (site) sites.push({ method, ...site });
+    });
+    const error = this.execute(code, context);
+    if (this.settleMs > 0) await new Promise(r => setTimeout(r, this.settleMs));
+    spy.restore();
+    try { window.close(); } catch {}
+    return error === null ? { counts: spy.counts, sites } : null;
+  }
+
+  /**
+   * Load the reference and record the state of the elements it manipulates,
+   * before its code runs and once it has settled
+   * @param {string} code - Reference solution
+   * @param {Array<Object>} targets - [{ selector, all }], all for every match
+   *   rather than the first
+   * @param {Object} options - Same page options as run()
+   * @returns {Promise<Array>} Per target { before, after }, lists of element
+   *   states (empty when nothing matches)
+   */
+  async inspectElements(code, targets, options = {}) {
+    const { window, context } = this.createPage(options);
+    const { document } = window;
+    const states = () => targets.map(({ selector, all }) => {
+      try {
+        const elements = all ? [...document.querySelectorAll(selector)] : [firstMatch(document, selector)];
+        return elements.filter(Boolean).map(el => this.elementState(el));
+      } catch {
+        // Not a selector jsdom understands
+        return [];
+      }
+    });
+
+    const before = states();
+    this.execute(code, context);
+    if (this.settleMs > 0) await new Promise(r => setTimeout(r, this.settleMs));
+    const after = states();
+
+    try { window.close(); } catch {}
+    return targets.map((_, i) => ({ before: before[i], after: after[i] }));
+  }
+
+  /**
+   * Computed values on the reference page, read the way the validator reads
+   * them for style tests: from the first element each selector matches
+   * @param {Array<string>} scripts - Reference scripts to run first, in page order
+   * @param {string} css - Stylesheets to apply
+   * @param {Array<Object>} targets - [{ selector, property }]
+   * @param {Object} options - Same page options as run()
+   * @returns {Promise<Array>} Per target the computed value, or null when nothing matches
+   */
+  async computedStyles(scripts, css, targets, options = {}) {
+    const { window, context } = this.createPage(options);
+    const { document } = window;
+    const style = document.createElement("style");
+    style.textContent = css;
+    document.head.appendChild(style);
+
+    for (const code of scripts) this.execute(code, context);
+    if (scripts.length > 0 && this.settleMs > 0) await new Promise(r => setTimeout(r, this.settleMs));
+
+    const values = targets.map(({ selector, property }) => {
+      try {
+        const el = firstMatch(document, selector);
+        return el ? window.getComputedStyle(el).getPropertyValue(property) : null;
+      } catch {
+        // Not a selector jsdom understands
+        return null;
+      }
+    });
+    try { window.close(); } catch {}
+    return values;
+  }
+
+  elementState(el) {
+    const style = {};
+    for (let i = 0; i < el.style.length; i++) style[el.style[i]] = el.style.getPropertyValue(el.style[i]);
+    const children = {};
+    for (const child of el.children) children[child.localName] = (children[child.localName] ?? 0) + 1;
+    return {
+      textContent: el.textContent,
+      innerHTML: el.innerHTML,
+      value: el.value,
+      className: typeof el.className === "string" ? el.className : null,
+      classes: [...el.classList],
+      attributes: Object.fromEntries([...el.attributes].map(attr => [attr.name, attr.value])),
+      children,
+      style
+    };
+  }
+
+  // Properties an event changed, in the form event tests expect them
+  stateChanges(before, after, el) {
+    const changes = {};
+    if (!before) return changes;
+    if (el.childElementCount > 0 ? before.innerHTML !== after.innerHTML : before.textContent !== after.textContent) {
+      if (el.childElementCount > 0) changes.innerHTML = after.innerHTML;
+      else changes.textContent = after.textContent;
+    }
+    if (before.value !== after.value && typeof after.value === "string") changes.value = after.value;
+
+    const classes = {};
+    for (const name of after.classes) if (!before.classes.includes(name)) classes[name] = true;
+    for (const name of before.classes) if (!after.classes.includes(name)) classes[name] = false;
+    if (Object.keys(classes).length > 0) changes.classes = classes;
+
+    for (const property of new Set([...Object.keys(before.style), ...Object.keys(after.style)])) {
+      if (before.style[property] !== after.style[property]) {
+        changes[`style.${camelCase(property)}`] = after.style[property] ?? "";
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Run the reference on the validator's fake clock and record which output
+   * appears at which point in time, plus how async functions settle
+   * @param {string} code - Reference solution
+   * @param {Array<Object>} calls - [{ name, args }] async functions to call
+   * @param {Object} options - Same page options as run()
+   * @returns {Promise<Object>} { timeline, calls }
+   */
+  async recordAsync(code, calls = [], options = {}) {
+    const timeline = [];
+    const settledCalls = [];
+
+    {
+      const { window, context, outputs } = this.createPage(options);
+      const clock = new FakeClock(window).install();
+      this.execute(code, context);
+      await clock.flush();
+
+      let seen = 0;
+      let pending = 0;
+      timeline.push({ advance: 0, expectedOutput: outputs.slice() });
+      seen = outputs.length;
+
+      for (let step = 0; step < MAX_TIMELINE_STEPS; step++) {
+        const delay = clock.nextDelay();
+        if (delay === null) break;
+        await clock.tick(delay);
+        pending += delay;
+        // Fold silent timers into the next step that prints something
+        if (outputs.length === seen) continue;
+        timeline.push({ advance: pending, expectedOutput: outputs.slice(seen) });
+        seen = outputs.length;
+        pending = 0;
+      }
+      try { window.close(); } catch {}
+    }
+
+    for (const call of calls) {
+      // A fresh page per call so earlier calls cannot leave timers behind
+      const { window, context } = this.createPage(options);
+      const clock = new FakeClock(window).install();
+      if (this.execute(code, context) !== null) {
+        try { window.close(); } catch {}
+        continue;
+      }
+
+      // Functions nested in others cannot be called from outside, and a
+      // failed lookup is no rejection of theirs
+      let fn;
+      try {
+        fn = new vm.Script(call.name).runInContext(context, { timeout: this.timeoutMs });
+      } catch {}
+      if (typeof fn !== "function") {
+        try { window.close(); } catch {}
+        continue;
+      }
+
+      let settled = null;
+      try {
+        window.Promise.resolve(fn(...call.args)).then(
+          value => { settled = { value }; },
+          error => { settled = { error }; }
+        );
+      } catch (error) {
+        settled = { error };
+      }
+      await clock.runAll();
+
+      if (settled && "error" in settled) {
+        const message = settled.error?.message ?? String(settled.error);
+        settledCalls.push({ functionName: call.name, args: call.args, rejects: message });
+      } else if (settled) {
+        const plain = this.toPlain(settled.value);
+        settledCalls.push(plain.ok
+          ? { functionName: call.name, args: call.args, resolves: plain.value }
+          : { functionName: call.name, args: call.args });
+      }
+      try { window.close(); } catch {}
+    }
+
+    return { timeline: timeline.filter(step => step.expectedOutput.length > 0), calls: settledCalls };
+  }
+
+  createPage({ elementIds = [], html, before = [] } = {}) {
+    const stubs = elementIds.map(id => `<div id="${id}"></div>`).join("\n");
+    const dom = new JSDOM(html || `<!DOCTYPE html><html><body>${stubs}</body></html>`, {
+      runScripts: "outside-only",
+      pretendToBeVisual: true
+    });
+    const { window } = dom;
+
+    // Capture console output exactly like the validator does, plus where in
+    // the reference each line was printed
+    const outputs = [];
+    const outputSites = [];
+    const capture = (...args) => {
+      outputs.push(args.join(" "));
+      outputSites.push(callSite(new Error().stack));
+    };
+    window.console.log = capture;
+    window.console.warn = capture;
+    window.console.error = capture;
+
+    // What the earlier scripts print is theirs, not the reference's
+    const context = dom.getInternalVMContext();
+    for (const script of before) runScript(script.code, context, { filename: script.name, timeoutMs: this.timeoutMs });
+    outputs.length = 0;
+    outputSites.length = 0;
+
+    return { dom, window, context, outputs, outputSites };
+  }
+
+  // Returns the error message, or null when the code ran to completion
+  execute(code, context) {
+    return runScript(code, context, { filename: "reference.js", timeoutMs: this.timeoutMs });
+  }
+
+  readGlobal(name, window) {
+    const read = readBinding(window, name);
+    return read.ok ? this.toPlain(read.value) : read;
+  }
+
+  /**
+   * Copy a value out of the sandbox realm, refusing anything that would not
+   * survive a JSON round trip unchanged
+   */
+  toPlain(value, seen = new Set()) {
+    if (value === undefined || typeof value === "function" || typeof value === "symbol" || typeof value === "bigint") {
+      return { ok: false };
+    }
+    if (typeof value === "number" && !Number.isFinite(value)) return { ok: false };
+    if (value === null || typeof value !== "object") return { ok: true, value };
+    if (seen.has(value)) return { ok: false };
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      const result = [];
+      for (const item of value) {
+        if (item === null) { result.push(null); continue; }
+        const plain = this.toPlain(item, seen);
+        if (!plain.ok) return { ok: false };
+        result.push(plain.value);
+      }
+      return { ok: true, value: result };
+    }
+
+    // Objects from the sandbox have their own Object.prototype
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== null && proto.constructor?.name !== "Object") return { ok: false };
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item === null) { result[key] = null; continue; }
+      const plain = this.toPlain(item, seen);
+      if (!plain.ok) return { ok: false };
+      result[key] = plain.value;
+    }
+    return { ok: true, value: result };
+  }
+
+  snapshotElements(document) {
+    const snapshot = new Map();
+    for (const el of document.querySelectorAll("[id]")) {
+      const state = { tag: el.tagName.toLowerCase(), childElementCount: el.childElementCount, attributes: {} };
+      // Only form controls have a string value (an <li>'s is a number)
+      for (const prop of RECORDED_DOM_PROPERTIES) {
+        if (typeof el[prop] === "string") state[prop] = el[prop];
+      }
+      for (const { name, value } of el.attributes) {
+        if (!UNRECORDED_ATTRIBUTES.has(name)) state.attributes[name] = value;
+      }
+      snapshot.set(el.id, state);
+    }
+    return snapshot;
+  }
+}
+
+// Position of the innermost reference frame in a stack trace, with the
+// column 0-based like Babel's, or null when the call came from elsewhere
+function callSite(stack = "") {
+  const match = stack.match(/reference\.js:(\d+):(\d+)/);
+  return match ? { line: Number(match[1]), column: Number(match[2]) - 1 } : null;
+}
+
+// querySelector in this jsdom ignores classes after an id (`#panel.open`
+// matches #panel without the class); querySelectorAll gets it right
+function firstMatch(document, selector) {
+  return document.querySelectorAll(selector)[0] ?? null;
+}
+
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// "background-color" -> "backgroundColor", the way scripts write style properties
+function camelCase(property) {
+  return property.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
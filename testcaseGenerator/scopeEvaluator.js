@@ -0,0 +1,1289 @@
+/**
+ * Abstract interpreter used by JSParser to derive final variable values and
+ * console output without running the code.
+ *
+ * Values are plain JS values (arrays and objects are real, mutable copies owned
+ * by the evaluator), Closure instances for user functions, host objects for the
+ * few builtins we model, and UNKNOWN for anything we cannot determine. UNKNOWN
+ * propagates through every operation; callers must drop tests that depend on it.
+ */
+
+export const UNKNOWN = Symbol("unknown");
+
+const DEFAULT_MAX_STEPS = 20000;
+const DEFAULT_MAX_CALL_DEPTH = 100;
+
+// Console methods the validator captures into its logs
+const CONSOLE_METHODS = new Set(["log", "warn", "error"]);
+
+// Callbacks registered through these are only invoked by user interaction,
+// so they cannot change state while the script itself runs
+const DEFERRED_REGISTRATIONS = new Set(["addEventListener", "removeEventListener"]);
+
+const MUTATING_ARRAY_METHODS = new Set([
+  "push", "pop", "shift", "unshift", "splice", "reverse", "sort", "fill", "copyWithin"
+]);
+
+const UNKNOWN_HOST_FUNCTIONS = new Set(["random", "now"]);
+
+export class Closure {
+  constructor(node, scope, name) {
+    this.node = node;
+    this.scope = scope;
+    this.name = name;
+  }
+}
+
+class HostFunction {
+  constructor(name, impl, members = {}) {
+    this.name = name;
+    this.impl = impl;
+    this.members = members;
+  }
+}
+
+class HostObject {
+  constructor(name, members) {
+    this.name = name;
+    this.members = members;
+  }
+}
+
+class BoundMethod {
+  constructor(receiver, name) {
+    this.receiver = receiver;
+    this.name = name;
+  }
+}
+
+class Scope {
+  constructor(parent = null, isFunction = false) {
+    this.parent = parent;
+    this.isFunction = isFunction;
+    this.bindings = new Map();
+  }
+
+  declare(name, kind, value, initialized = true) {
+    this.bindings.set(name, { kind, value, initialized });
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.bindings.has(name)) return scope.bindings.get(name);
+    }
+    return null;
+  }
+
+  functionScope() {
+    let scope = this;
+    while (!scope.isFunction && scope.parent) scope = scope.parent;
+    return scope;
+  }
+}
+
+class ReturnSignal {
+  constructor(value) { this.value = value; }
+}
+
+class BreakSignal {
+  constructor(label) { this.label = label; }
+}
+
+class ContinueSignal {
+  constructor(label) { this.label = label; }
+}
+
+class ThrowSignal {
+  constructor(value) { this.value = value; }
+}
+
+class UnknownSignal {}
+
+class BudgetSignal {}
+
+/**
+ * Returns true when the value contains no UNKNOWN anywhere inside it
+ * @param {*} value
+ * @param {WeakSet} [tainted] - Objects that were mutated in an unknown way
+ * @returns {boolean}
+ */
+export function isKnown(value, tainted = null, seen = new Set()) {
+  if (value === UNKNOWN) return false;
+  if (value && typeof value === "object") {
+    if (tainted && tainted.has(value)) return false;
+    if (seen.has(value)) return true;
+    seen.add(value);
+    if (value instanceof Closure || value instanceof HostFunction ||
+        value instanceof HostObject || value instanceof BoundMethod) return true;
+    return Object.values(value).every(v => isKnown(v, tainted, seen));
+  }
+  return true;
+}
+
+/**
+ * Returns the identifier names bound by a declaration pattern
+ * @param {Object} pattern - Babel pattern node
+ * @returns {Array<string>}
+ */
+export function boundNames(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case "Identifier":
+      return [pattern.name];
+    case "ObjectPattern":
+      return pattern.properties.flatMap(prop =>
+        prop.type === "RestElement" ? boundNames(prop.argument) : boundNames(prop.value));
+    case "ArrayPattern":
+      return pattern.elements.flatMap(el => boundNames(el));
+    case "AssignmentPattern":
+      return boundNames(pattern.left);
+    case "RestElement":
+      return boundNames(pattern.argument);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Calls fn for every direct child node of an AST node
+ */
+export function forEachChild(node, fn) {
+  for (const key of Object.keys(node)) {
+    if (key === "loc" || key === "leadingComments" || key === "trailingComments" || key === "innerComments") continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(c => { if (c && typeof c.type === "string") fn(c); });
+    } else if (child && typeof child.type === "string") {
+      fn(child);
+    }
+  }
+}
+
+function isFunctionNode(node) {
+  return node.type === "FunctionDeclaration" || node.type === "FunctionExpression" ||
+    node.type === "ArrowFunctionExpression" || node.type === "ObjectMethod" || node.type === "ClassMethod";
+}
+
+// Root identifier of a member chain such as `a.b[c].d`
+function rootIdentifier(node) {
+  while (node && (node.type === "MemberExpression" || node.type === "OptionalMemberExpression")) {
+    node = node.object;
+  }
+  return node?.type === "Identifier" ? node.name : null;
+}
+
+function copyValue(value) {
+  if (Array.isArray(value)) return [...value];
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) return { ...value };
+  return value;
+}
+
+export class ScopeEvaluator {
+  constructor(options = {}) {
+    this.maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+    this.maxCallDepth = options.maxCallDepth || DEFAULT_MAX_CALL_DEPTH;
+    this.reset();
+  }
+
+  reset() {
+    this.steps = 0;
+    this.callDepth = 0;
+    this.outputs = [];
+    this.assignments = [];
+    this.tainted = new WeakSet();
+    this.globalScope = new Scope(null, true);
+    this.error = null;
+    this.complete = true;
+  }
+
+  /**
+   * Evaluate a whole program
+   * @param {Object} ast - Babel File or Program node
+   * @returns {Object} { globals, outputs, assignments, error, complete }
+   */
+  run(ast) {
+    this.reset();
+    const program = ast.type === "File" ? ast.program : ast;
+
+    try {
+      this.hoistFunctionScope(program.body, this.globalScope);
+      this.execStatements(program.body, this.globalScope);
+    } catch (signal) {
+      if (signal instanceof ThrowSignal) {
+        this.error = this.describeThrown(signal.value);
+      } else if (signal instanceof BudgetSignal) {
+        // We stopped mid-program: nothing after this point is trustworthy
+        this.complete = false;
+        this.outputs.push({ text: UNKNOWN, line: 0 });
+        for (const binding of this.globalScope.bindings.values()) {
+          this.taint(binding.value);
+          binding.value = UNKNOWN;
+        }
+      } else {
+        throw signal;
+      }
+    }
+
+    return {
+      globals: this.globalScope.bindings,
+      outputs: this.outputs,
+      assignments: this.assignments,
+      error: this.error,
+      complete: this.complete
+    };
+  }
+
+  /**
+   * Whether a value is fully determined (no UNKNOWN and no unknown mutation)
+   */
+  isKnown(value) {
+    return isKnown(value, this.tainted);
+  }
+
+  describeThrown(value) {
+    if (value && typeof value === "object" && "message" in value) return String(value.message);
+    return this.isKnown(value) ? String(value) : "unknown error";
+  }
+
+  fail(message, ErrorType = TypeError) {
+    throw new ThrowSignal(new ErrorType(message));
+  }
+
+  tick() {
+    if (++this.steps > this.maxSteps) throw new BudgetSignal();
+  }
+
+  taint(value) {
+    if (value && typeof value === "object") this.tainted.add(value);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Declarations and hoisting
+
+  hoistFunctionScope(statements, scope) {
+    for (const name of this.collectVarNames(statements)) {
+      if (!scope.bindings.has(name)) scope.declare(name, "var", undefined);
+    }
+    this.hoistBlock(statements, scope);
+  }
+
+  hoistBlock(statements, scope) {
+    for (const stmt of statements) {
+      const decl = stmt.type === "ExportNamedDeclaration" || stmt.type === "ExportDefaultDeclaration"
+        ? stmt.declaration
+        : stmt;
+      if (!decl) continue;
+      if (decl.type === "FunctionDeclaration" && decl.id) {
+        scope.declare(decl.id.name, "function", new Closure(decl, scope, decl.id.name));
+      } else if (decl.type === "VariableDeclaration" && decl.kind !== "var") {
+        for (const d of decl.declarations) {
+          for (const name of boundNames(d.id)) scope.declare(name, decl.kind, undefined, false);
+        }
+      } else if (decl.type === "ClassDeclaration" && decl.id) {
+        scope.declare(decl.id.name, "class", undefined, false);
+      }
+    }
+  }
+
+  collectVarNames(nodes, names = []) {
+    for (const node of nodes) {
+      if (!node || isFunctionNode(node)) continue;
+      if (node.type === "VariableDeclaration" && node.kind === "var") {
+        node.declarations.forEach(d => names.push(...boundNames(d.id)));
+      }
+      const children = [];
+      forEachChild(node, child => {
+        if (/Statement|Declaration|SwitchCase|CatchClause/.test(child.type)) children.push(child);
+      });
+      this.collectVarNames(children, names);
+    }
+    return names;
+  }
+
+  bindPattern(pattern, value, scope, kind) {
+    this.destructure(pattern, value, scope, (target, v) => this.initialize(target.name, v, scope, kind, target));
+  }
+
+  /**
+   * Match a pattern against a value, calling bind(target, value) for each
+   * identifier (or, in assignments, member expression) it ends in. Defaults
+   * apply to undefined parts; an unknown value leaves everything below it unknown.
+   */
+  destructure(pattern, value, scope, bind) {
+    switch (pattern.type) {
+      case "Identifier":
+      case "MemberExpression":
+        bind(pattern, value);
+        return;
+
+      case "AssignmentPattern":
+        if (value === UNKNOWN) {
+          // Whether the default is used is unknown too
+          this.havoc(pattern.right, scope);
+          this.destructure(pattern.left, UNKNOWN, scope, bind);
+        } else {
+          this.destructure(pattern.left, value === undefined ? this.evaluate(pattern.right, scope) : value, scope, bind);
+        }
+        return;
+
+      case "ObjectPattern": {
+        if (value === null || value === undefined) this.fail(`Cannot destructure '${value}' as it is ${value}.`);
+        const used = [];
+        for (const prop of pattern.properties) {
+          if (prop.type === "RestElement") {
+            const plain = value && typeof value === "object" && !Array.isArray(value) &&
+              Object.getPrototypeOf(value) === Object.prototype && !this.tainted.has(value);
+            const rest = plain && !used.includes(UNKNOWN)
+              ? Object.fromEntries(Object.entries(value).filter(([key]) => !used.includes(key)))
+              : UNKNOWN;
+            this.destructure(prop.argument, rest, scope, bind);
+            continue;
+          }
+          let key = prop.computed
+            ? this.evaluate(prop.key, scope)
+            : (prop.key.type === "Identifier" ? prop.key.name : prop.key.value);
+          if (!this.isPrimitive(key)) key = UNKNOWN;
+          used.push(key === UNKNOWN ? UNKNOWN : String(key));
+          this.destructure(prop.value, this.getMember(value, key), scope, bind);
+        }
+        return;
+      }
+
+      case "ArrayPattern": {
+        if (value === null || value === undefined) this.fail(`${value} is not iterable`);
+        let items = UNKNOWN;
+        if (Array.isArray(value) && !this.tainted.has(value)) items = value;
+        else if (typeof value === "string") items = [...value];
+        pattern.elements.forEach((element, i) => {
+          if (!element) return;
+          if (element.type === "RestElement") {
+            this.destructure(element.argument, items === UNKNOWN ? UNKNOWN : items.slice(i), scope, bind);
+          } else {
+            this.destructure(element, items === UNKNOWN ? UNKNOWN : items[i], scope, bind);
+          }
+        });
+        return;
+      }
+
+      default:
+        for (const name of boundNames(pattern)) bind({ type: "Identifier", name, loc: pattern.loc }, UNKNOWN);
+    }
+  }
+
+  initialize(name, value, scope, kind, node) {
+    const target = kind === "var" ? scope.functionScope() : scope;
+    const binding = target.bindings.get(name) || scope.lookup(name);
+    if (binding) {
+      binding.value = value;
+      binding.initialized = true;
+    } else {
+      target.declare(name, kind, value);
+    }
+    this.recordAssignment("declaration", name, value, node);
+  }
+
+  recordAssignment(type, name, value, node, extra = {}) {
+    this.assignments.push({
+      type,
+      name,
+      value: this.isKnown(value) ? copyValue(value) : UNKNOWN,
+      line: node?.loc?.start.line || 0,
+      ...extra
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Statements
+
+  execStatements(statements, scope) {
+    for (const stmt of statements) this.exec(stmt, scope);
+  }
+
+  execBlock(statements, parent) {
+    const scope = new Scope(parent);
+    this.hoistBlock(statements, scope);
+    this.execStatements(statements, scope);
+  }
+
+  exec(node, scope) {
+    this.tick();
+
+    switch (node.type) {
+      case "ExpressionStatement":
+        this.evaluate(node.expression, scope);
+        return;
+
+      case "VariableDeclaration":
+        for (const d of node.declarations) {
+          if (!d.init && node.kind === "var") continue;
+          const value = d.init ? this.evaluate(d.init, scope) : undefined;
+          if (d.init && value instanceof Closure && !value.name && d.id.type === "Identifier") {
+            value.name = d.id.name;
+          }
+          this.bindPattern(d.id, value, scope, node.kind);
+        }
+        return;
+
+      case "FunctionDeclaration":
+      case "EmptyStatement":
+      case "DebuggerStatement":
+      case "ImportDeclaration":
+        return;
+
+      case "ClassDeclaration":
+        this.initialize(node.id.name, UNKNOWN, scope, "class", node);
+        return;
+
+      case "ExportNamedDeclaration":
+      case "ExportDefaultDeclaration":
+        if (node.declaration) this.exec(node.declaration, scope);
+        return;
+
+      case "BlockStatement":
+        this.execBlock(node.body, scope);
+        return;
+
+      case "ReturnStatement":
+        throw new ReturnSignal(node.argument ? this.evaluate(node.argument, scope) : undefined);
+
+      case "ThrowStatement":
+        throw new ThrowSignal(this.evaluate(node.argument, scope));
+
+      case "BreakStatement":
+        throw new BreakSignal(node.label?.name);
+
+      case "ContinueStatement":
+        throw new ContinueSignal(node.label?.name);
+
+      case "IfStatement": {
+        const test = this.evaluate(node.test, scope);
+        if (test === UNKNOWN) {
+          this.havoc(node.consequent, scope);
+          if (node.alternate) this.havoc(node.alternate, scope);
+          return;
+        }
+        if (test) this.exec(node.consequent, scope);
+        else if (node.alternate) this.exec(node.alternate, scope);
+        return;
+      }
+
+      case "LabeledStatement":
+        try {
+          if (/Statement$/.test(node.body.type) && /^(For|While|DoWhile)/.test(node.body.type)) {
+            this.execLoop(node.body, scope, node.label.name);
+          } else {
+            this.exec(node.body, scope);
+          }
+        } catch (signal) {
+          if (signal instanceof BreakSignal && signal.label === node.label.name) return;
+          throw signal;
+        }
+        return;
+
+      case "ForStatement":
+      case "WhileStatement":
+      case "DoWhileStatement":
+      case "ForOfStatement":
+      case "ForInStatement":
+        this.execLoop(node, scope);
+        return;
+
+      case "SwitchStatement":
+        this.execSwitch(node, scope);
+        return;
+
+      case "TryStatement":
+        this.execTry(node, scope);
+        return;
+
+      default:
+        // Anything we do not model may change any state it touches
+        this.havoc(node, scope);
+    }
+  }
+
+  /**
+   * Runs one loop iteration body, returning false when the loop should stop
+   */
+  runIteration(node, body, scope, label) {
+    try {
+      this.exec(body, scope);
+    } catch (signal) {
+      if (signal instanceof BreakSignal && (!signal.label || signal.label === label)) return false;
+      if (signal instanceof ContinueSignal && (!signal.label || signal.label === label)) return true;
+      throw signal;
+    }
+    return true;
+  }
+
+  execLoop(node, outer, label = null) {
+    const scope = new Scope(outer);
+
+    if (node.type === "ForOfStatement" || node.type === "ForInStatement") {
+      const iterable = this.evaluate(node.right, scope);
+      if (!this.isKnown(iterable) || iterable === null || iterable === undefined ||
+          (node.type === "ForOfStatement" && typeof iterable !== "string" && !Array.isArray(iterable))) {
+        this.havoc(node, outer);
+        return;
+      }
+      const items = node.type === "ForOfStatement" ? [...iterable] : Object.keys(iterable);
+      for (const item of items) {
+        this.tick();
+        const iterScope = new Scope(outer);
+        if (node.left.type === "VariableDeclaration") {
+          this.hoistBlock([node.left], iterScope);
+          this.bindPattern(node.left.declarations[0].id, item, iterScope, node.left.kind);
+        } else {
+          this.assignTo(node.left, item, iterScope, node.left);
+        }
+        if (!this.runIteration(node, node.body, iterScope, label)) break;
+      }
+      return;
+    }
+
+    if (node.type === "ForStatement" && node.init) {
+      if (node.init.type === "VariableDeclaration") {
+        this.hoistBlock([node.init], scope);
+        this.exec(node.init, scope);
+      } else {
+        this.evaluate(node.init, scope);
+      }
+    }
+
+    let first = node.type === "DoWhileStatement";
+    for (;;) {
+      this.tick();
+      if (!first && node.test) {
+        const test = this.evaluate(node.test, scope);
+        if (test === UNKNOWN) {
+          this.havoc(node, scope);
+          return;
+        }
+        if (!test) return;
+      }
+      first = false;
+      if (!this.runIteration(node, node.body, scope, label)) return;
+      if (node.type === "ForStatement" && node.update) this.evaluate(node.update, scope);
+    }
+  }
+
+  execSwitch(node, outer) {
+    const scope = new Scope(outer);
+    const statements = node.cases.flatMap(c => c.consequent);
+    this.hoistBlock(statements, scope);
+
+    const discriminant = this.evaluate(node.discriminant, scope);
+    if (discriminant === UNKNOWN) {
+      this.havoc(node, outer);
+      return;
+    }
+
+    let start = -1;
+    for (let i = 0; i < node.cases.length && start === -1; i++) {
+      const c = node.cases[i];
+      if (!c.test) continue;
+      const value = this.evaluate(c.test, scope);
+      if (value === UNKNOWN) {
+        this.havoc(node, outer);
+        return;
+      }
+      if (value === discriminant) start = i;
+    }
+    if (start === -1) start = node.cases.findIndex(c => !c.test);
+    if (start === -1) return;
+
+    try {
+      for (let i = start; i < node.cases.length; i++) {
+        this.execStatements(node.cases[i].consequent, scope);
+      }
+    } catch (signal) {
+      if (signal instanceof BreakSignal && !signal.label) return;
+      throw signal;
+    }
+  }
+
+  execTry(node, scope) {
+    try {
+      this.exec(node.block, scope);
+    } catch (signal) {
+      if (!(signal instanceof ThrowSignal) || !node.handler) throw signal;
+      const catchScope = new Scope(scope);
+      if (node.handler.param) this.bindPattern(node.handler.param, signal.value, catchScope, "let");
+      this.exec(node.handler.body, catchScope);
+    } finally {
+      if (node.finalizer) this.exec(node.finalizer, scope);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Unknown effects
+
+  /**
+   * Marks everything a piece of code could write as UNKNOWN, used when we
+   * cannot tell whether (or how often) that code runs
+   */
+  havoc(node, scope, visited = new Set()) {
+    if (!node || visited.has(node)) return;
+    visited.add(node);
+
+    const mark = (name) => {
+      const binding = name && scope.lookup(name);
+      if (binding && binding.kind !== "function") {
+        this.taint(binding.value);
+        binding.value = UNKNOWN;
+      }
+    };
+
+    const visit = (n) => {
+      switch (n.type) {
+        case "AssignmentExpression":
+          boundNames(n.left).forEach(mark);
+          mark(rootIdentifier(n.left));
+          break;
+        case "UpdateExpression":
+          mark(rootIdentifier(n.argument));
+          break;
+        case "CallExpression":
+        case "NewExpression": {
+          const callee = n.callee;
+          if (callee.type === "MemberExpression" && callee.object.name === "console" &&
+              CONSOLE_METHODS.has(callee.property.name)) {
+            this.outputs.push({ text: UNKNOWN, line: n.loc?.start.line || 0 });
+            break;
+          }
+          mark(rootIdentifier(callee.type === "MemberExpression" ? callee.object : null));
+          for (const arg of n.arguments) mark(rootIdentifier(arg));
+          // Follow calls into user functions, they may write to outer state
+          const target = callee.type === "Identifier" ? scope.lookup(callee.name)?.value : null;
+          if (target instanceof Closure) this.havoc(target.node.body, target.scope, visited);
+          break;
+        }
+        default:
+          break;
+      }
+      forEachChild(n, visit);
+    };
+
+    visit(node);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions
+
+  evaluate(node, scope) {
+    switch (node.type) {
+      case "NumericLiteral":
+      case "StringLiteral":
+      case "BooleanLiteral":
+        return node.value;
+      case "NullLiteral":
+        return null;
+      case "BigIntLiteral":
+        return BigInt(node.value);
+      case "RegExpLiteral":
+        return new RegExp(node.pattern, node.flags);
+
+      case "TemplateLiteral": {
+        let text = node.quasis[0].value.cooked;
+        for (let i = 0; i < node.expressions.length; i++) {
+          const value = this.evaluate(node.expressions[i], scope);
+          if (!this.isKnown(value) || value instanceof Closure) return UNKNOWN;
+          text += String(value) + node.quasis[i + 1].value.cooked;
+        }
+        return text;
+      }
+
+      case "Identifier":
+        return this.lookupIdentifier(node.name, scope);
+
+      case "ThisExpression": {
+        const binding = scope.lookup("this");
+        return binding ? binding.value : undefined;
+      }
+
+      case "ParenthesizedExpression":
+      case "TSAsExpression":
+      case "TSNonNullExpression":
+      case "TSTypeAssertion":
+      case "TSSatisfiesExpression":
+        return this.evaluate(node.expression, scope);
+
+      case "SequenceExpression": {
+        let value;
+        for (const expr of node.expressions) value = this.evaluate(expr, scope);
+        return value;
+      }
+
+      case "ArrayExpression": {
+        const result = [];
+        for (const el of node.elements) {
+          if (el === null) {
+            result.push(undefined);
+          } else if (el.type === "SpreadElement") {
+            const spread = this.evaluate(el.argument, scope);
+            if (!Array.isArray(spread) && typeof spread !== "string") return UNKNOWN;
+            result.push(...spread);
+          } else {
+            result.push(this.evaluate(el, scope));
+          }
+        }
+        return result;
+      }
+
+      case "ObjectExpression":
+        return this.evaluateObject(node, scope);
+
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+        return new Closure(node, scope, node.id?.name);
+
+      case "ClassExpression":
+        return UNKNOWN;
+
+      case "UnaryExpression":
+        return this.evaluateUnary(node, scope);
+
+      case "BinaryExpression": {
+        const left = this.evaluate(node.left, scope);
+        const right = this.evaluate(node.right, scope);
+        return this.binary(node.operator, left, right);
+      }
+
+      case "LogicalExpression": {
+        const left = this.evaluate(node.left, scope);
+        if (left === UNKNOWN) {
+          this.havoc(node.right, scope);
+          return UNKNOWN;
+        }
+        if (node.operator === "&&") return left ? this.evaluate(node.right, scope) : left;
+        if (node.operator === "||") return left ? left : this.evaluate(node.right, scope);
+        return left !== null && left !== undefined ? left : this.evaluate(node.right, scope);
+      }
+
+      case "ConditionalExpression": {
+        const test = this.evaluate(node.test, scope);
+        if (test === UNKNOWN) {
+          this.havoc(node.consequent, scope);
+          this.havoc(node.alternate, scope);
+          return UNKNOWN;
+        }
+        return this.evaluate(test ? node.consequent : node.alternate, scope);
+      }
+
+      case "AssignmentExpression":
+        return this.evaluateAssignment(node, scope);
+
+      case "UpdateExpression": {
+        const old = this.evaluate(node.argument, scope);
+        const current = old === UNKNOWN ? UNKNOWN : Number(old);
+        const next = current === UNKNOWN ? UNKNOWN : (node.operator === "++" ? current + 1 : current - 1);
+        this.assignTo(node.argument, next, scope, node, "compound_assignment");
+        return node.prefix ? next : current;
+      }
+
+      case "MemberExpression":
+      case "OptionalMemberExpression": {
+        const object = this.evaluate(node.object, scope);
+        if (node.optional && (object === null || object === undefined)) return undefined;
+        const property = this.propertyKey(node, scope);
+        return this.getMember(object, property);
+      }
+
+      case "CallExpression":
+      case "OptionalCallExpression":
+        return this.evaluateCall(node, scope);
+
+      case "NewExpression":
+        return this.evaluateNew(node, scope);
+
+      default:
+        this.havoc(node, scope);
+        return UNKNOWN;
+    }
+  }
+
+  lookupIdentifier(name, scope) {
+    const binding = scope.lookup(name);
+    if (binding) {
+      if (!binding.initialized) this.fail(`Cannot access '${name}' before initialization`, ReferenceError);
+      return binding.value;
+    }
+    if (name === "undefined") return undefined;
+    if (name === "NaN") return NaN;
+    if (name === "Infinity") return Infinity;
+    const host = HOST_GLOBALS[name];
+    if (host) return host;
+    // Browser globals (document, window, ...) and anything undeclared
+    return UNKNOWN;
+  }
+
+  evaluateObject(node, scope) {
+    const obj = {};
+    for (const prop of node.properties) {
+      if (prop.type === "SpreadElement") {
+        const spread = this.evaluate(prop.argument, scope);
+        if (spread === UNKNOWN || this.tainted.has(spread)) return UNKNOWN;
+        if (spread && typeof spread === "object") Object.assign(obj, spread);
+        continue;
+      }
+      const key = prop.computed
+        ? this.evaluate(prop.key, scope)
+        : (prop.key.type === "Identifier" ? prop.key.name : prop.key.value);
+      if (key === UNKNOWN) return UNKNOWN;
+      if (prop.type === "ObjectMethod") {
+        if (prop.kind !== "method") return UNKNOWN;
+        obj[key] = new Closure(prop, scope, String(key));
+      } else {
+        obj[key] = this.evaluate(prop.value, scope);
+      }
+    }
+    return obj;
+  }
+
+  evaluateUnary(node, scope) {
+    if (node.operator === "typeof" && node.argument.type === "Identifier" && !scope.lookup(node.argument.name)) {
+      const global = this.lookupIdentifier(node.argument.name, scope);
+      return global === UNKNOWN ? UNKNOWN : typeof global;
+    }
+    if (node.operator === "delete") {
+      this.havoc(node.argument, scope);
+      const base = rootIdentifier(node.argument);
+      const binding = base && scope.lookup(base);
+      if (binding) this.taint(binding.value);
+      return UNKNOWN;
+    }
+
+    const argument = this.evaluate(node.argument, scope);
+    if (node.operator === "void") return undefined;
+    if (argument === UNKNOWN) return UNKNOWN;
+
+    switch (node.operator) {
+      case "typeof":
+        if (argument instanceof Closure || argument instanceof HostFunction) return "function";
+        if (argument instanceof HostObject) return "object";
+        return typeof argument;
+      case "!":
+        return !argument;
+      case "-":
+        return this.isPrimitive(argument) ? -argument : UNKNOWN;
+      case "+":
+        return this.isPrimitive(argument) ? +argument : UNKNOWN;
+      case "~":
+        return this.isPrimitive(argument) ? ~argument : UNKNOWN;
+      default:
+        return UNKNOWN;
+    }
+  }
+
+  isPrimitive(value) {
+    return value === null || (typeof value !== "object" && typeof value !== "symbol");
+  }
+
+  // Values that behave like their real counterparts when coerced natively
+  isNativeSafe(value) {
+    if (value instanceof Closure || value instanceof HostFunction ||
+        value instanceof HostObject || value instanceof BoundMethod) return false;
+    return this.isKnown(value);
+  }
+
+  binary(operator, left, right) {
+    if (left === UNKNOWN || right === UNKNOWN) return UNKNOWN;
+
+    // Identity comparisons are safe for any value we hold
+    if (operator === "===") return left === right;
+    if (operator === "!==") return left !== right;
+    if (operator === "in") {
+      if (right && typeof right === "object" && this.isKnown(right) && !(right instanceof Closure)) {
+        return String(left) in right;
+      }
+      return UNKNOWN;
+    }
+    if (operator === "instanceof") return UNKNOWN;
+
+    if (!this.isNativeSafe(left) || !this.isNativeSafe(right)) return UNKNOWN;
+
+    try {
+      switch (operator) {
+        case "+": return left + right;
+        case "-": return left - right;
+        case "*": return left * right;
+        case "/": return left / right;
+        case "%": return left % right;
+        case "**": return left ** right;
+        case "==": return left == right;
+        case "!=": return left != right;
+        case "<": return left < right;
+        case "<=": return left <= right;
+        case ">": return left > right;
+        case ">=": return left >= right;
+        case "&": return left & right;
+        case "|": return left | right;
+        case "^": return left ^ right;
+        case "<<": return left << right;
+        case ">>": return left >> right;
+        case ">>>": return left >>> right;
+        default: return UNKNOWN;
+      }
+    } catch (err) {
+      throw new ThrowSignal(err);
+    }
+  }
+
+  evaluateAssignment(node, scope) {
+    const operator = node.operator;
+
+    if (operator === "=") {
+      const value = this.evaluate(node.right, scope);
+      this.assignTo(node.left, value, scope, node, "reassignment");
+      return value;
+    }
+
+    const current = this.evaluate(node.left, scope);
+
+    if (operator === "&&=" || operator === "||=" || operator === "??=") {
+      if (current === UNKNOWN) {
+        this.havoc(node.right, scope);
+        this.assignTo(node.left, UNKNOWN, scope, node, "compound_assignment");
+        return UNKNOWN;
+      }
+      const shouldAssign = operator === "&&=" ? !!current
+        : operator === "||=" ? !current
+        : current === null || current === undefined;
+      if (!shouldAssign) return current;
+      const value = this.evaluate(node.right, scope);
+      this.assignTo(node.left, value, scope, node, "compound_assignment", operator);
+      return value;
+    }
+
+    const right = this.evaluate(node.right, scope);
+    const value = this.binary(operator.slice(0, -1), current, right);
+    this.assignTo(node.left, value, scope, node, "compound_assignment", operator);
+    return value;
+  }
+
+  assignTo(target, value, scope, node, type = "reassignment", operator = null) {
+    if (target.type === "Identifier") {
+      const binding = scope.lookup(target.name);
+      if (!binding) {
+        // Implicit global
+        this.globalScope.declare(target.name, "var", value);
+      } else {
+        if (!binding.initialized) this.fail(`Cannot access '${target.name}' before initialization`, ReferenceError);
+        if (binding.kind === "const") this.fail("Assignment to constant variable.");
+        binding.value = value;
+      }
+      this.recordAssignment(type, target.name, value, node, operator ? { operator } : {});
+      return;
+    }
+
+    if (target.type === "MemberExpression") {
+      const object = this.evaluate(target.object, scope);
+      const property = this.propertyKey(target, scope);
+      const base = rootIdentifier(target);
+
+      if (object === null || object === undefined) {
+        this.fail(`Cannot set properties of ${object}`);
+      }
+      if (object === UNKNOWN || property === UNKNOWN || typeof object !== "object" ||
+          object instanceof HostObject || object instanceof Closure) {
+        // Writing into something we do not model (DOM nodes, ...)
+        this.taint(object);
+        return;
+      }
+      if (property === "length" && Array.isArray(object) && value === UNKNOWN) {
+        this.taint(object);
+        return;
+      }
+      object[property] = value;
+      if (base) {
+        this.recordAssignment("property_assignment", base, scope.lookup(base)?.value, node, { property });
+      }
+      return;
+    }
+
+    // Destructuring assignment, e.g. [a, b] = [b, a]
+    this.destructure(target, value, scope, (part, v) => this.assignTo(part, v, scope, node, type));
+  }
+
+  propertyKey(node, scope) {
+    if (!node.computed) return node.property.name ?? node.property.value;
+    const key = this.evaluate(node.property, scope);
+    return this.isPrimitive(key) ? key : UNKNOWN;
+  }
+
+  getMember(object, property) {
+    if (object === UNKNOWN || property === UNKNOWN) return UNKNOWN;
+    if (object === null || object === undefined) {
+      this.fail(`Cannot read properties of ${object} (reading '${String(property)}')`);
+    }
+    if (this.tainted.has(object)) return UNKNOWN;
+
+    if (object instanceof HostObject || object instanceof HostFunction) {
+      const member = object.members[property];
+      return member === undefined ? UNKNOWN : member;
+    }
+    if (object instanceof Closure || object instanceof BoundMethod) {
+      return UNKNOWN;
+    }
+
+    if (typeof object === "string" || Array.isArray(object) || typeof object === "number" || typeof object === "boolean") {
+      if (property === "length" || (typeof property === "number") || /^\d+$/.test(String(property))) {
+        return object[property];
+      }
+      if (typeof object[property] === "function") return new BoundMethod(object, property);
+      return object[property];
+    }
+
+    if (typeof object === "object") {
+      if (Object.prototype.hasOwnProperty.call(object, property)) return object[property];
+      if (typeof Object.prototype[property] === "function") return new BoundMethod(object, property);
+      return undefined;
+    }
+
+    return UNKNOWN;
+  }
+
+  evaluateArguments(args, scope) {
+    const values = [];
+    for (const arg of args) {
+      if (arg.type === "SpreadElement") {
+        const spread = this.evaluate(arg.argument, scope);
+        if (!Array.isArray(spread) || !this.isKnown(spread)) return UNKNOWN;
+        values.push(...spread);
+      } else {
+        values.push(this.evaluate(arg, scope));
+      }
+    }
+    return values;
+  }
+
+  evaluateCall(node, scope) {
+    const callee = node.callee;
+
+    // console.log and friends produce output instead of a value
+    if (callee.type === "MemberExpression" && callee.object.type === "Identifier" &&
+        callee.object.name === "console" && !scope.lookup("console") &&
+        CONSOLE_METHODS.has(callee.property.name)) {
+      const args = this.evaluateArguments(node.arguments, scope);
+      this.outputs.push({ text: this.formatOutput(args), line: node.loc?.start.line || 0, start: node.start, end: node.end });
+      return undefined;
+    }
+
+    let fn;
+    let thisValue;
+    if (callee.type === "MemberExpression" || callee.type === "OptionalMemberExpression") {
+      thisValue = this.evaluate(callee.object, scope);
+      if (callee.optional && (thisValue === null || thisValue === undefined)) return undefined;
+      fn = this.getMember(thisValue, this.propertyKey(callee, scope));
+    } else {
+      fn = this.evaluate(callee, scope);
+    }
+    if (node.optional && (fn === null || fn === undefined)) return undefined;
+
+    const args = this.evaluateArguments(node.arguments, scope);
+    const methodName = callee.type === "MemberExpression" && !callee.computed ? callee.property.name : null;
+
+    if (fn === UNKNOWN || args === UNKNOWN) {
+      this.unknownCall(node, scope, methodName, args === UNKNOWN ? [] : args);
+      return UNKNOWN;
+    }
+
+    return this.callValue(fn, args, thisValue, node, scope);
+  }
+
+  /**
+   * A call we cannot follow: it may run any callback it was handed and
+   * mutate any object it was given
+   */
+  unknownCall(node, scope, methodName, args) {
+    if (!DEFERRED_REGISTRATIONS.has(methodName)) {
+      for (const arg of args) {
+        if (arg instanceof Closure) this.havoc(arg.node.body, arg.scope);
+      }
+      node.arguments.forEach(arg => {
+        if (arg.type === "ArrowFunctionExpression" || arg.type === "FunctionExpression") return;
+        this.havoc(arg, scope);
+      });
+    }
+    for (const arg of args) this.taint(arg);
+    if (node.callee.type === "MemberExpression") {
+      const base = rootIdentifier(node.callee.object);
+      const binding = base && scope.lookup(base);
+      if (binding) this.taint(binding.value);
+    }
+  }
+
+  callValue(fn, args, thisValue, node, scope) {
+    if (fn instanceof Closure) return this.callFunction(fn, args, thisValue);
+
+    if (fn instanceof HostFunction) {
+      if (!args.every(a => this.isNativeSafe(a))) return UNKNOWN;
+      try {
+        return fn.impl(...args);
+      } catch (err) {
+        throw new ThrowSignal(err);
+      }
+    }
+
+    if (fn instanceof BoundMethod) return this.callNativeMethod(fn, args, node, scope);
+
+    if (fn === null || fn === undefined || typeof fn !== "object") {
+      this.fail(`${node.callee.type === "Identifier" ? node.callee.name : "expression"} is not a function`);
+    }
+    return UNKNOWN;
+  }
+
+  callNativeMethod(method, args, node, scope) {
+    const { receiver, name } = method;
+    const mutates = Array.isArray(receiver) && (MUTATING_ARRAY_METHODS.has(name) || args.some(a => a instanceof Closure));
+
+    const nativeArgs = [];
+    for (const arg of args) {
+      if (arg instanceof Closure) {
+        nativeArgs.push(this.toNativeCallback(arg));
+      } else if (this.isNativeSafe(arg)) {
+        nativeArgs.push(arg);
+      } else {
+        if (mutates) this.taint(receiver);
+        return UNKNOWN;
+      }
+    }
+    if (!this.isKnown(receiver)) {
+      if (mutates) this.taint(receiver);
+      args.forEach(arg => { if (arg instanceof Closure) this.havoc(arg.node.body, arg.scope); });
+      return UNKNOWN;
+    }
+
+    try {
+      const result = receiver[name](...nativeArgs);
+      if (mutates && Array.isArray(receiver) && node.callee.type === "MemberExpression") {
+        const base = rootIdentifier(node.callee.object);
+        if (base) {
+          this.recordAssignment("array_method", base, scope.lookup(base)?.value, node, { method: name });
+        }
+      }
+      return result;
+    } catch (signal) {
+      if (signal instanceof UnknownSignal) {
+        if (mutates) this.taint(receiver);
+        return UNKNOWN;
+      }
+      if (signal instanceof ThrowSignal || signal instanceof BudgetSignal) throw signal;
+      throw new ThrowSignal(signal);
+    }
+  }
+
+  toNativeCallback(closure) {
+    return (...args) => {
+      const result = this.callFunction(closure, args, undefined);
+      if (!this.isKnown(result)) {
+        this.havoc(closure.node.body, closure.scope);
+        throw new UnknownSignal();
+      }
+      return result;
+    };
+  }
+
+  callFunction(closure, args, thisValue) {
+    const node = closure.node;
+    if (node.async || node.generator) {
+      this.havoc(node.body, closure.scope);
+      return UNKNOWN;
+    }
+    if (this.callDepth >= this.maxCallDepth) {
+      this.havoc(node.body, closure.scope);
+      return UNKNOWN;
+    }
+
+    const scope = new Scope(closure.scope, true);
+    if (node.type !== "ArrowFunctionExpression") {
+      scope.declare("this", "const", thisValue);
+      scope.declare("arguments", "const", [...args]);
+    }
+    if (node.id && node.type === "FunctionExpression") scope.declare(node.id.name, "function", closure);
+
+    const declareParam = (target, value) => scope.declare(target.name, "param", value);
+    node.params.forEach((param, i) => {
+      if (!Array.isArray(args)) {
+        boundNames(param).forEach(name => scope.declare(name, "param", UNKNOWN));
+      } else if (param.type === "RestElement") {
+        this.destructure(param.argument, args.slice(i), scope, declareParam);
+      } else {
+        this.destructure(param, args[i], scope, declareParam);
+      }
+    });
+
+    this.callDepth++;
+    try {
+      if (node.body.type !== "BlockStatement") return this.evaluate(node.body, scope);
+      this.hoistFunctionScope(node.body.body, scope);
+      this.execStatements(node.body.body, scope);
+      return undefined;
+    } catch (signal) {
+      if (signal instanceof ReturnSignal) return signal.value;
+      throw signal;
+    } finally {
+      this.callDepth--;
+    }
+  }
+
+  evaluateNew(node, scope) {
+    const ctor = this.evaluate(node.callee, scope);
+    const args = this.evaluateArguments(node.arguments, scope);
+
+    if (ctor instanceof Closure && (ctor.node.type === "FunctionDeclaration" || ctor.node.type === "FunctionExpression")) {
+      if (args === UNKNOWN) return UNKNOWN;
+      const instance = {};
+      const result = this.callFunction(ctor, args, instance);
+      return result && typeof result === "object" ? result : instance;
+    }
+    if (ctor === HOST_GLOBALS.Array && args !== UNKNOWN && args.every(a => this.isNativeSafe(a))) {
+      try {
+        return new Array(...args);
+      } catch (err) {
+        throw new ThrowSignal(err);
+      }
+    }
+
+    this.unknownCall(node, scope, null, args === UNKNOWN ? [] : args);
+    return UNKNOWN;
+  }
+
+  /**
+   * Formats console arguments exactly like the validator captures them
+   */
+  formatOutput(args) {
+    if (args === UNKNOWN || !args.every(a => this.isNativeSafe(a))) return UNKNOWN;
+    return args.join(" ");
+  }
+}
+
+// Pure builtins we can evaluate natively. Anything nondeterministic or host
+// dependent (Math.random, Date, DOM) stays UNKNOWN.
+const pick = (source, names) => Object.fromEntries(
+  names.map(name => [name, new HostFunction(name, source[name].bind(source))])
+);
+
+const HOST_GLOBALS = {
+  Math: new HostObject("Math", {
+    ...pick(Math, Object.getOwnPropertyNames(Math).filter(n =>
+      typeof Math[n] === "function" && !UNKNOWN_HOST_FUNCTIONS.has(n))),
+    PI: Math.PI,
+    E: Math.E,
+    random: UNKNOWN
+  }),
+  JSON: new HostObject("JSON", pick(JSON, ["stringify", "parse"])),
+  Object: new HostObject("Object", pick(Object, ["keys", "values", "entries", "fromEntries"])),
+  Array: new HostFunction("Array", Array, pick(Array, ["isArray", "of"])),
+  Number: new HostFunction("Number", Number, {
+    ...pick(Number, ["isInteger", "isFinite", "isNaN", "parseFloat", "parseInt"]),
+    MAX_SAFE_INTEGER: Number.MAX_SAFE_INTEGER,
+    MIN_SAFE_INTEGER: Number.MIN_SAFE_INTEGER
+  }),
+  String: new HostFunction("String", String),
+  Boolean: new HostFunction("Boolean", Boolean),
+  parseInt: new HostFunction("parseInt", parseInt),
+  parseFloat: new HostFunction("parseFloat", parseFloat),
+  isNaN: new HostFunction("isNaN", isNaN),
+  isFinite: new HostFunction("isFinite", isFinite)
+};
@@ -0,0 +1,88 @@
+import crypto from "crypto";
+
+/**
+ * Stable test ids. An id is derived from what a test is about (the variable,
+ * function, selector, ... it checks) rather than what it expects, so the same
+ * test keeps its id when the reference changes and its expectation with it:
+ *
+ *   variable-3f2a9c1e, function-b07d44a2, style-91ce0f3d-2
+ *
+ * Tests about the same thing get -2, -3, ... in the order they appear.
+ * Output tests are identified by the console call that prints them, loops by
+ * the function they are in and what they iterate or test, branches by their
+ * condition and the side it takes rather than the inputs that make it take
+ * it, and conditions by their variables and operators without the values
+ * compared to.
+ */
+
+const IDENTITY_FIELDS = {
+  variable: ["variable"],
+  condition: ["kind", "variable", "expectedOperator", "logic", "branches"],
+  object: ["objectName", "method"],
+  function: ["functionName"],
+  event: ["selector", "event"],
+  output: ["callSite"],
+  loop: ["loopType", "functionName", "subject"],
+  dom_structure: ["selector", "element", "method", "property"],
+  ast: ["astQuery"],
+  commented_variable: ["variable"],
+  commented_output: ["expectedOutput"],
+  explanation: ["comment"],
+  class: ["className"],
+  async: ["features"],
+  branch: ["condition", "branch"],
+  style: ["selector", "property", "media", "actions"],
+  recursion: ["functionName"],
+  higher_order: ["method", "variable"]
+};
+
+/**
+ * @param {Object} test - Structure entry
+ * @returns {string} The id the test gets when nothing else has it
+ */
+export function baseId(test) {
+  const fields = IDENTITY_FIELDS[test.type];
+  let identity = fields
+    ? fields.map(field => test[field] ?? null)
+    : [test.description ?? null];
+  if (test.type === "condition") identity = identity.map(withoutValues);
+  // Added by hand or by annotation, without a call to point to
+  if (test.type === "output" && !test.callSite) identity = [test.expectedOutput ?? null];
+  const hash = crypto.createHash("sha1").update(JSON.stringify([test.type, identity])).digest("hex").slice(0, 8);
+  return `${test.type}-${hash}`;
+}
+
+/**
+ * Give every test without an id one that no other test in the list has
+ * @param {Array} structure - Structure entries; updated in place
+ * @returns {Array} The same list
+ */
+export function assignIds(structure) {
+  const taken = new Set(structure.map(test => test.id).filter(Boolean));
+  structure.forEach((test, index) => {
+    if (test.id) return;
+    structure[index] = { id: uniqueId(baseId(test), taken), ...test };
+  });
+  return structure;
+}
+
+/**
+ * @param {string} id - Preferred id
+ * @param {Set<string>} taken - Ids in use; the result is added to it
+ * @returns {string} id, or id-2, id-3, ... when it is taken
+ */
+export function uniqueId(id, taken) {
+  let candidate = id;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${id}-${n}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+// Condition trees with the compared values left out
+function withoutValues(value) {
+  if (Array.isArray(value)) return value.map(withoutValues);
+  if (value === null || typeof value !== "object") return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => key !== "value")
+    .map(([key, item]) => [key, withoutValues(item)]));
+}
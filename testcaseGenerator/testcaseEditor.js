@@ -0,0 +1,214 @@
+import fs from "fs";
+import { TestcaseGenerator } from "./testcaseGenerator.js";
+import { checkTestcase, assertValidConfig } from "../testcaseValidator/configSchema.js";
+import { baseId, uniqueId } from "./testIds.js";
+
+/**
+ * Programmatic editing of testcase configs ({ Code_Validation: { file: { Ans, structure } } }).
+ * Tests added through the editor are marked `source: "manual"`; edits to
+ * generated tests are listed in their `edited` field. Both survive
+ * regeneration of the file they belong to.
+ */
+export class TestcaseEditor {
+  constructor(options = {}) {
+    this.generator = options.generator || new TestcaseGenerator();
+    this.config = { Code_Validation: {} };
+    this.filepath = null;
+  }
+
+  /**
+   * Load an existing config file
+   * @param {string} filepath - Path to a testcase JSON file
+   * @returns {Promise<Object>} The loaded config
+   */
+  async loadConfig(filepath) {
+    const text = await fs.promises.readFile(filepath, "utf-8");
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`${filepath} is not valid JSON: ${err.message}`);
+    }
+    this.setConfig(config);
+    this.filepath = filepath;
+    return this.config;
+  }
+
+  /**
+   * Use a config object that is already in memory
+   * @param {Object} config
+   */
+  setConfig(config) {
+    if (!config || typeof config.Code_Validation !== "object" || Array.isArray(config.Code_Validation)) {
+      throw new Error("Config must have a Code_Validation object");
+    }
+    if (config.fixture !== undefined && typeof config.fixture !== "string") {
+      throw new Error("fixture must be an HTML string");
+    }
+    for (const [filename, entry] of Object.entries(config.Code_Validation)) {
+      if (typeof entry.Ans !== "string") throw new Error(`${filename}: Ans must be a string`);
+      if (!Array.isArray(entry.structure)) throw new Error(`${filename}: structure must be an array`);
+      // Only the shape is checked here so broken tests can still be loaded and fixed
+      entry.structure.forEach((test, index) => {
+        if (!test || typeof test.type !== "string") throw new Error(`${filename} test #${index + 1} has no type`);
+      });
+    }
+    this.config = structuredClone(config);
+  }
+
+  /**
+   * Generate a fresh config from source files
+   * @param {Object} files - Filename -> content
+   * @param {Object} options - generateFromFiles options
+   * @returns {Promise<Object>} The generated config
+   */
+  async loadCode(files, options = {}) {
+    const result = await this.generator.generateFromFiles(files, options);
+    this.config = structuredClone(result);
+    return this.config;
+  }
+
+  /**
+   * @param {string} filename
+   * @returns {Array} The file's structure entries
+   */
+  getTestcases(filename) {
+    return this.entry(filename).structure;
+  }
+
+  /**
+   * @param {string} filename
+   * @param {Object} testcase - Structure entry
+   * @param {number} index - Position to insert at (defaults to the end)
+   * @returns {Object} The added testcase
+   */
+  addTestcase(filename, testcase, index) {
+    const structure = this.entry(filename).structure;
+    const test = { ...testcase, source: testcase.source || "manual" };
+    this.validateTestcase(test);
+    if (!test.id) test.id = uniqueId(baseId(test), new Set(structure.map(t => t.id)));
+    const position = index === undefined ? structure.length : this.checkIndex(structure, index, true);
+    structure.splice(position, 0, test);
+    return test;
+  }
+
+  /**
+   * @param {string} filename
+   * @param {number} index
+   * @param {Object} changes - Fields to set; `undefined` values remove a field
+   * @returns {Object} The updated testcase
+   */
+  updateTestcase(filename, index, changes) {
+    const structure = this.entry(filename).structure;
+    this.checkIndex(structure, index);
+
+    const test = { ...structure[index], ...changes };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined) delete test[key];
+    }
+    if (test.id && test.source !== "manual") {
+      // Regeneration updates everything about a generated test except these
+      const edited = Object.keys(changes).filter(key => !["id", "source", "edited"].includes(key));
+      test.edited = [...new Set([...(test.edited || []), ...edited])];
+    } else if (test.source !== "annotation") {
+      test.source = "manual";
+    }
+    this.validateTestcase(test);
+    structure[index] = test;
+    return test;
+  }
+
+  /**
+   * Remove a testcase. Generated tests that are removed stay removed when the
+   * file is regenerated.
+   * @param {string} filename
+   * @param {number} index
+   * @returns {Object} The removed testcase
+   */
+  removeTestcase(filename, index) {
+    const entry = this.entry(filename);
+    this.checkIndex(entry.structure, index);
+    const [removed] = entry.structure.splice(index, 1);
+    if (removed.source !== "manual") {
+      entry.excluded = [...new Set([...(entry.excluded || []), removed.id || baseId(removed)])];
+    }
+    return removed;
+  }
+
+  /**
+   * @param {string} filename
+   * @param {number} from - Current index
+   * @param {number} to - New index
+   */
+  moveTestcase(filename, from, to) {
+    const structure = this.entry(filename).structure;
+    this.checkIndex(structure, from);
+    this.checkIndex(structure, to);
+    const [test] = structure.splice(from, 1);
+    structure.splice(to, 0, test);
+  }
+
+  /**
+   * Regenerate a file's tests from changed code, keeping manual tests, edits
+   * to generated tests and removals (see TestcaseGenerator#merge)
+   * @param {string} filename
+   * @param {string} code - New source for the file
+   * @param {Object} options - generateFromFiles options
+   * @returns {Promise<Object>} The file's changes: { added, removed, updated, kept }
+   */
+  async regenerate(filename, code, options = {}) {
+    // Run the new code against the same page as the rest of the config
+    const htmlFile = Object.keys(this.config.Code_Validation).find(name => /\.html?$/i.test(name));
+    const fixture = this.config.fixture ?? (htmlFile ? this.config.Code_Validation[htmlFile].Ans : undefined);
+    const { config, changes } = await this.generator.merge(this.config, { [filename]: code }, { fixture, ...options });
+    if (changes[filename].error) throw new Error(`Could not regenerate ${filename}: ${changes[filename].error}`);
+
+    this.config = config;
+    return changes[filename];
+  }
+
+  /**
+   * Check a testcase against testcase.schema.json; throws with every problem found
+   * @param {Object} test
+   * @param {string} label - Used in the error message
+   */
+  validateTestcase(test, label = "Testcase") {
+    if (!test || typeof test !== "object" || Array.isArray(test)) {
+      throw new Error(`${label} must be an object`);
+    }
+    const problems = checkTestcase(test).map(p => (p.path ? `${p.path} ${p.message}` : p.message));
+    if (problems.length > 0) throw new Error(`${label} is invalid: ${problems.join("; ")}`);
+  }
+
+  /**
+   * Write the config back to disk
+   * @param {string} filepath - Defaults to the file it was loaded from
+   * @param {Object} options - { pretty }
+   */
+  async save(filepath = this.filepath, options = {}) {
+    const { pretty = true } = options;
+    if (!filepath) throw new Error("No file to save to");
+    assertValidConfig(this.config, filepath);
+    const json = pretty ? JSON.stringify(this.config, null, 2) : JSON.stringify(this.config);
+    await fs.promises.writeFile(filepath, json, "utf-8");
+    this.filepath = filepath;
+  }
+
+  toJSON() {
+    return this.config;
+  }
+
+  entry(filename) {
+    const entry = this.config.Code_Validation[filename];
+    if (!entry) throw new Error(`No file "${filename}" in config`);
+    return entry;
+  }
+
+  checkIndex(structure, index, allowEnd = false) {
+    const max = allowEnd ? structure.length : structure.length - 1;
+    if (!Number.isInteger(index) || index < 0 || index > max) {
+      throw new Error(`Index ${index} is out of range (0-${max})`);
+    }
+    return index;
+  }
+}
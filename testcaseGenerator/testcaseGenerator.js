@@ -1,14 +1,38 @@
 import { HTMLParser } from "./parsers/htmlParser.js";
 import { CSSParser } from "./parsers/cssParser.js";
 import { JSParser } from "./jsParser.js";
+import { InputSynthesizer } from "./inputSynthesizer.js";
+import { SandboxRunner, BRANCH_PROBE } from "./sandboxRunner.js";
+import { applyDirectives } from "./annotations.js";
+import { applyOverrides } from "../testcaseValidator/overrides.js";
+import { applyEdits } from "../testcaseValidator/sourceEdits.js";
+import { assertValidConfig, ConfigError, SCHEMA_VERSION } from "../testcaseValidator/configSchema.js";
+import { conditionAtoms, formatCondition } from "../testcaseValidator/conditions.js";
+import { cssValuesEqual } from "../testcaseValidator/cssValues.js";
+import { assemblePage } from "../testcaseValidator/validator.js";
+import { assignIds } from "./testIds.js";
+import { describeLoop } from "../testcaseValidator/loops.js";
+import { describeRecursion } from "../testcaseValidator/recursion.js";
+import { describeHigherOrder } from "../testcaseValidator/higherOrder.js";
+import { describeExpectation } from "./eventEffects.js";
+import { groupManipulations, observedExpectation, describeDOMExpectation } from "./domManipulations.js";
 import fs from "fs";
 import path from "path";
+import { Worker } from "worker_threads";
+
+const DEFAULT_GENERATION_TIMEOUT_MS = 60000;
+
+/**
+ * The reference solution never finished running during generation
+ */
+export class GenerationTimeoutError extends Error {}
 
 export class TestcaseGenerator {
   constructor() {
     this.htmlParser = new HTMLParser();
     this.cssParser = new CSSParser();
-    this.jsParser = new JSParser();
+    this.inputSynthesizer = new InputSynthesizer();
+    this.sandboxRunner = new SandboxRunner();
     this.results = {};
   }
 
@@ -16,9 +40,11 @@ export class TestcaseGenerator {
    * @param {Object} files
    * @param {Object} options
    * @returns {Object}
+   * @throws {ConfigError} When the generated config does not match the schema
    */
   async generateFromFiles(files, options = {}) {
     this.results = {
+      schemaVersion: SCHEMA_VERSION,
       Code_Validation: {}
     };
 
@@ -29,9 +55,38 @@ export class TestcaseGenerator {
       includeFunctions = true,
       includeConditions = true,
       includeObjects = true,
-      autoDetect = true
+      includeVariables = true,
+      includeOutputs = true,
+      includeDOM = true,
+      includeLoops = true,
+      includeClasses = true,
+      includeAsync = true,
+      includeBranches = true,
+      includeComments = true,
+      includeRecursion = true,
+      includeHigherOrder = true,
+      mode = "hybrid",
+      autoDetect = true,
+      fixture = null,
+      commentRules = [],
+      otherFiles = {}
     } = options;
 
+    // Which comments count as explanations is up to the problem
+    this.commentRules = commentRules;
+
+    // The reference code runs against the page it was written for: an explicit
+    // fixture, else the problem's HTML file; element stubs only without either
+    const pageFiles = { ...otherFiles, ...files };
+    const htmlFile = Object.keys(pageFiles).find(name => /\.html?$/i.test(name));
+    this.fixture = fixture ?? (htmlFile ? pageFiles[htmlFile] : null);
+    if (fixture) this.results.fixture = fixture;
+    // ... with the scripts in the order the validator loads them
+    this.pageScripts = assemblePage(
+      Object.fromEntries(Object.entries(pageFiles).map(([name, content]) => [name, { Ans: content }])),
+      this.fixture
+    ).scripts;
+
     for (const [filename, content] of Object.entries(files)) {
       const fileExtension = path.extname(filename).toLowerCase();
       
@@ -49,6 +104,17 @@ export class TestcaseGenerator {
               includeFunctions,
               includeConditions,
               includeObjects,
+              includeVariables,
+              includeOutputs,
+              includeDOM,
+              includeLoops,
+              includeClasses,
+              includeAsync,
+              includeBranches,
+              includeComments,
+              includeRecursion,
+              includeHigherOrder,
+              mode,
               autoDetect
             });
             break;
@@ -70,7 +136,118 @@ export class TestcaseGenerator {
       }
     }
 
-    return this.results;
+    await this.dropOverriddenStyles(mode);
+    for (const entry of Object.values(this.results.Code_Validation)) assignIds(entry.structure);
+
+    // A test the validator would misread is a generator bug; report it here
+    return assertValidConfig(this.results, "Generated config");
+  }
+
+  /**
+   * Regenerate the tests for changed files on top of an earlier config, by
+   * test id: tests the new code no longer produces are dropped, the others
+   * take the new expectations except for fields edited by hand (`edited`),
+   * manual tests stay, and tests removed by hand (`excluded`) stay removed.
+   * Files not passed in are left as they were.
+   * @param {Object} previous - Earlier config, possibly edited
+   * @param {Object} files - Filename -> new content
+   * @param {Object} options - generateFromFiles options; the fixture defaults to previous.fixture
+   * @returns {Promise<Object>} { config, changes }, changes being per file
+   *   { added, removed, updated, kept, error? } (see formatChanges)
+   */
+  async merge(previous, files, options = {}) {
+    // The files kept as they were are still part of the page
+    const otherFiles = Object.fromEntries(Object.entries(previous.Code_Validation || {})
+      .filter(([name, entry]) => !(name in files) && typeof entry.Ans === "string")
+      .map(([name, entry]) => [name, entry.Ans]));
+    const fresh = await this.generateFromFiles(files, { fixture: previous.fixture, otherFiles, ...options });
+    const config = { ...structuredClone(previous), schemaVersion: SCHEMA_VERSION };
+    const changes = {};
+
+    for (const [filename, generated] of Object.entries(fresh.Code_Validation)) {
+      const old = config.Code_Validation[filename];
+      if (generated.error) {
+        // Keep the working tests rather than replacing them with nothing
+        if (!old) config.Code_Validation[filename] = generated;
+        changes[filename] = { added: [], removed: [], updated: [], kept: [], error: generated.error };
+        continue;
+      }
+      const { structure, ...fileChanges } = this.mergeStructure(old?.structure || [], generated.structure, old?.excluded || []);
+      config.Code_Validation[filename] = { ...old, ...generated, structure };
+      changes[filename] = fileChanges;
+    }
+
+    this.results = assertValidConfig(config, "Merged config");
+    return { config: this.results, changes };
+  }
+
+  mergeStructure(previous, generated, excluded) {
+    // Configs from before ids existed get the ids their tests would have now
+    previous = assignIds(structuredClone(previous));
+    const summary = (test) => ({ id: test.id, description: test.description || test.type });
+    const generatedById = new Map(generated.map(test => [test.id, test]));
+    const previousIds = new Set(previous.map(test => test.id));
+    const tombstones = new Set(excluded);
+    const changes = { added: [], removed: [], updated: [], kept: [] };
+
+    // Previous order first, so tests moved by hand stay where they were
+    const structure = [];
+    for (const old of previous) {
+      const test = generatedById.get(old.id);
+      if (old.source === "manual") {
+        structure.push(old);
+        if (test) changes.kept.push({ ...summary(old), reason: "manual" });
+      } else if (!test) {
+        changes.removed.push(summary(old));
+      } else {
+        const merged = { ...test };
+        for (const field of old.edited || []) {
+          if (field in old) merged[field] = old[field];
+          else delete merged[field];
+        }
+        if (old.edited) merged.edited = old.edited;
+        const fields = [...new Set([...Object.keys(old), ...Object.keys(merged)])]
+          .filter(field => JSON.stringify(old[field]) !== JSON.stringify(merged[field]))
+          .map(field => ({ field, from: old[field], to: merged[field] }));
+        if (fields.length > 0) changes.updated.push({ ...summary(merged), fields });
+        if (old.edited) changes.kept.push({ ...summary(merged), reason: "edited", fields: old.edited });
+        structure.push(merged);
+      }
+    }
+
+    // New tests go after the generated test they follow
+    generated.forEach((test, index) => {
+      if (previousIds.has(test.id) || tombstones.has(test.id)) return;
+      const before = generated.slice(0, index).reverse().find(t => structure.some(s => s.id === t.id));
+      const position = before ? structure.findIndex(s => s.id === before.id) + 1 : 0;
+      structure.splice(position, 0, test);
+      changes.added.push(summary(test));
+    });
+
+    return { structure, ...changes };
+  }
+
+  /**
+   * @param {Object} changes - From merge()
+   * @returns {string} One line per change, grouped by file
+   */
+  formatChanges(changes) {
+    const show = (value) => value === undefined ? "(none)" : JSON.stringify(value);
+    const lines = [];
+    for (const [filename, { added, removed, updated, kept, error }] of Object.entries(changes)) {
+      lines.push(`${filename}: ${added.length} added, ${removed.length} removed, ${updated.length} updated`);
+      if (error) lines.push(`  ! not regenerated: ${error}`);
+      for (const t of added) lines.push(`  + ${t.id} ${t.description}`);
+      for (const t of removed) lines.push(`  - ${t.id} ${t.description}`);
+      for (const t of updated) {
+        lines.push(`  ~ ${t.id} ${t.description}`);
+        for (const f of t.fields) lines.push(`      ${f.field}: ${show(f.from)} -> ${show(f.to)}`);
+      }
+      for (const t of kept) {
+        lines.push(`  = ${t.id} ${t.description} (${t.reason === "manual" ? "manual test kept" : `kept edits to ${t.fields.join(", ")}`})`);
+      }
+    }
+    return lines.join("\n");
   }
 
   /**
@@ -102,7 +279,12 @@ export class TestcaseGenerator {
       structure: htmlResult.structure || [],
       analysis: {
         elements: htmlResult.elements || [],
-        selectors: htmlResult.selectors || []
+        selectors: htmlResult.selectors || [],
+        ids: htmlResult.ids || [],
+        classes: htmlResult.classes || [],
+        forms: htmlResult.forms || [],
+        inputs: htmlResult.inputs || [],
+        tree: htmlResult.tree || []
       },
       suggestions: []
     };
@@ -122,6 +304,28 @@ export class TestcaseGenerator {
     }
   }
 
+  /**
+   * Drop style tests whose declaration loses the cascade on the element the
+   * validator checks, the first match on the reference page, e.g. `.card`'s
+   * display when `#panel` sets its own
+   * @param {string} mode - "hybrid" runs the reference scripts first, like the validator
+   */
+  async dropOverriddenStyles(mode) {
+    if (!this.fixture) return;
+    const page = assemblePage(this.results.Code_Validation, this.fixture);
+    const scripts = mode === "hybrid" ? page.scripts.map(script => script.code) : [];
+
+    for (const [filename, entry] of Object.entries(this.results.Code_Validation)) {
+      if (!/\.css$/i.test(filename)) continue;
+      const tests = entry.structure.filter(test => test.type === "style" && !test.media && !test.actions);
+      if (tests.length === 0) continue;
+      const computed = await this.sandboxRunner.computedStyles(scripts, page.css, tests, { html: page.html });
+      const overridden = new Set(tests.filter((test, i) =>
+        computed[i] !== null && !cssValuesEqual(test.property, computed[i], test.expected)));
+      entry.structure = entry.structure.filter(test => !overridden.has(test));
+    }
+  }
+
   /**
    * @param {string} filename
    * @param {string} content
@@ -155,6 +359,9 @@ export class TestcaseGenerator {
   }
 
   /**
+   * In "hybrid" mode the reference solution is executed in a sandbox and
+   * variable, output and DOM expectations come from what actually happened;
+   * conditions, loops, functions and the like are always derived statically.
    * @param {string} filename
    * @param {string} content
    * @param {Object} options
@@ -165,55 +372,545 @@ export class TestcaseGenerator {
       includeFunctions,
       includeConditions,
       includeObjects,
+      includeVariables,
+      includeOutputs,
+      includeDOM,
+      includeLoops,
+      includeClasses,
+      includeAsync,
+      includeBranches,
+      includeComments,
+      includeRecursion,
+      includeHigherOrder,
+      mode = "hybrid",
       autoDetect
     } = options;
 
-    const jsResult = this.jsParser.parse(content);
-    
+    // A parser per file, so one file's findings do not leak into the next
+    const jsParser = new JSParser();
+    jsParser.commentAnalyzer.setRules(this.commentRules);
+    const jsResult = jsParser.parse(content);
+    // Scripts the page loads before this one run first in the sandbox
+    const position = this.pageScripts.findIndex(script => script.name === filename);
+    this.earlierScripts = position > 0 ? this.pageScripts.slice(0, position) : [];
+    const staticTests = jsResult.structure;
+    const byType = (type) => staticTests.filter(test => test.type === type);
+
     this.results.Code_Validation[filename] = {
       Ans: content,
       structure: [],
       analysis: {},
       suggestions: []
     };
+    const structure = this.results.Code_Validation[filename].structure;
+
+    let runtime = null;
+    if (mode === "hybrid") {
+      runtime = await this.sandboxRunner.runStable(content, {
+        globals: jsResult.declaredVariables,
+        ...this.pageFor(jsResult)
+      });
+    }
+
+    if (includeVariables) {
+      structure.push(...(runtime ? this.buildRuntimeVariableTests(runtime) : byType("variable")));
+    }
+
+    if (includeOutputs) {
+      structure.push(...(runtime ? this.buildRuntimeOutputTests(runtime, jsResult) : byType("output")));
+    }
 
     // Add tests based on options
     if (includeEvents && jsResult.events.length > 0) {
-      const eventTests = jsResult.tests.filter(test => test.type === "event");
-      this.results.Code_Validation[filename].structure.push(...eventTests);
+      const eventTests = byType("event");
+      if (mode === "hybrid") await this.addEventExpectations(content, jsResult, eventTests);
+      structure.push(...eventTests);
     }
 
     if (includeFunctions && jsResult.functions.length > 0) {
-      const functionTests = jsResult.tests.filter(test => test.type === "function");
-      this.results.Code_Validation[filename].structure.push(...functionTests);
+      const functionTests = byType("function");
+      if (mode === "hybrid") await this.addFunctionTestCases(content, jsResult, functionTests);
+      structure.push(...functionTests);
+    }
+
+    // Switches and compound conditions can be there without any plain comparison
+    if (includeConditions) {
+      structure.push(...byType("condition"));
     }
 
-    if (includeConditions && jsResult.conditions.length > 0) {
-      const conditionTests = jsResult.tests.filter(test => test.type === "condition");
-      this.results.Code_Validation[filename].structure.push(...conditionTests);
+    if (includeBranches && mode === "hybrid" && jsResult.branchPoints.length > 0) {
+      structure.push(...await this.buildBranchTests(content, jsResult));
     }
 
     if (includeObjects && jsResult.objects.length > 0) {
-      const objectTests = jsResult.tests.filter(test => test.type === "object");
-      this.results.Code_Validation[filename].structure.push(...objectTests);
+      structure.push(...byType("object"));
+    }
+
+    if (includeLoops && jsResult.loops.length > 0) {
+      const loopTests = byType("loop");
+      if (mode === "hybrid") await this.addLoopCounts(content, jsResult, loopTests);
+      structure.push(...loopTests);
+    }
+
+    if (includeRecursion && jsResult.recursion.length > 0) {
+      const recursionTests = byType("recursion");
+      if (mode === "hybrid") await this.addRecursionDepths(content, jsResult, recursionTests);
+      structure.push(...recursionTests);
+    }
+
+    if (includeHigherOrder && jsResult.higherOrderCalls.length > 0) {
+      const higherOrderTests = byType("higher_order");
+      if (mode === "hybrid") await this.addHigherOrderCalls(content, jsResult, higherOrderTests);
+      structure.push(...higherOrderTests);
+    }
+
+    if (includeClasses && jsResult.classes.length > 0) {
+      const classTests = byType("class");
+      if (mode === "hybrid") await this.addClassScenarios(content, jsResult, classTests);
+      structure.push(...classTests);
+    }
+
+    if (includeAsync && jsResult.asyncOperations.length > 0) {
+      const asyncTests = byType("async");
+      if (mode === "hybrid") await this.addAsyncExpectations(content, jsResult, asyncTests);
+      structure.push(...asyncTests);
     }
 
+    if (includeDOM) {
+      const domTests = byType("dom_structure");
+      structure.push(...domTests.filter(test => test.method));
+      if (runtime) {
+        structure.push(...await this.buildRuntimeDOMTests(content, jsResult, runtime));
+      } else {
+        // Without a fixture the validator's page only has stubs for ids
+        structure.push(...domTests.filter(test => !test.method &&
+          (this.fixture || /^#[\w-]+$/.test(test.selector) || ["body", "html"].includes(test.selector))));
+      }
+    }
+
+    // Commented-out code the student is meant to restore, and explanations
+    if (includeComments) {
+      structure.push(...byType("commented_variable"), ...byType("commented_output"), ...byType("explanation"));
+    }
+
+    // Inline @expect/@test/@hidden/... directives get the last word
+    this.results.Code_Validation[filename].structure = applyDirectives(structure, jsResult.directives);
+
     // Add JavaScript analysis
     this.results.Code_Validation[filename].analysis = {
       events: jsResult.events || [],
       functions: jsResult.functions || [],
+      classes: jsResult.classes || [],
       variables: jsResult.variables || [],
       conditions: jsResult.conditions || [],
+      switches: jsResult.switches || [],
       objects: jsResult.objects || [],
       domManipulations: jsResult.domManipulations || []
     };
 
+    if (jsResult.annotationErrors.length > 0) {
+      this.results.Code_Validation[filename].analysis.annotationErrors = jsResult.annotationErrors;
+    }
+
+    if (runtime?.error) {
+      this.results.Code_Validation[filename].analysis.runtimeError = runtime.error;
+    }
+
     // Auto-detect suggestions
     if (autoDetect) {
       this.results.Code_Validation[filename].suggestions = this.generateSuggestions(jsResult) || [];
     }
   }
 
+  /**
+   * Run the reference implementation on synthesized inputs and record what it
+   * returns as testCases on the matching function tests
+   * @param {string} content - Reference code
+   * @param {Object} jsResult - JavaScript parsing result
+   * @param {Array} functionTests - Function tests to fill in
+   */
+  async addFunctionTestCases(content, jsResult, functionTests) {
+    const calls = jsResult.functions
+      .filter(f => f.topLevel && f.inputs?.length > 0)
+      .map(f => ({ name: f.name, inputs: f.inputs }));
+    if (calls.length === 0) return;
+
+    const results = await this.sandboxRunner.callFunctions(content, calls, {
+      ...this.pageFor(jsResult)
+    });
+
+    for (const test of functionTests) {
+      const cases = results.get(test.functionName);
+      if (cases?.length > 0) test.testCases = cases;
+    }
+  }
+
+  /**
+   * Instantiate each class from the reference solution, call its methods in
+   * declaration order and read its getters, then record the observed results
+   * as the scenario the validator replays
+   * @param {string} content - Reference code
+   * @param {Object} jsResult - JavaScript parsing result
+   * @param {Array} classTests - Class tests to fill in
+   */
+  async addClassScenarios(content, jsResult, classTests) {
+    const plans = jsResult.classes.map(c => ({
+      name: c.name,
+      constructorArgs: c.constructorInputs,
+      calls: [
+        ...c.methods.filter(m => m.inputs).map(m => ({ method: m.name, args: m.inputs })),
+        ...c.getters.map(property => ({ property }))
+      ]
+    }));
+
+    const results = await this.sandboxRunner.exerciseClasses(content, plans, {
+      ...this.pageFor(jsResult)
+    });
+
+    for (const test of classTests) {
+      const scenario = results.get(test.className);
+      if (!scenario) continue;
+      test.constructorArgs = scenario.constructorArgs;
+      test.calls = scenario.calls;
+      if (scenario.expectedState) test.expectedState = scenario.expectedState;
+    }
+  }
+
+  /**
+   * Dispatch each listener's event on the reference and expect what it
+   * actually printed and changed, in place of the statically inferred effects
+   * @param {string} content - Reference code
+   * @param {Object} jsResult - JavaScript parsing result
+   * @param {Array} eventTests - Event tests to fill in
+   */
+  async addEventExpectations(content, jsResult, eventTests) {
+    const listeners = jsResult.events.map(e => ({
+      selector: e.selector,
+      event: e.event,
+      // Elements without an id are only compared when the handler names them
+      watch: [...new Set(e.effects.map(effect => effect.selector).filter(s => s && !s.startsWith("#")))]
+    }));
+    const results = await this.sandboxRunner.fireEvents(content, listeners, this.pageFor(jsResult));
+
+    for (const test of eventTests) {
+      const index = listeners.findIndex(l => l.selector === test.selector && l.event === test.event);
+      const observed = results[index];
+      if (!observed) continue;
+
+      const expected = {};
+      if (observed.consoleOutput.length > 0) expected.consoleOutput = observed.consoleOutput;
+      if (Object.keys(observed.elements).length > 0) expected.elements = observed.elements;
+      if (Object.keys(expected).length > 0) test.expected = expected;
+      // A handler that changes nothing on a fresh page, e.g. a reset: the
+      // validator then checks that a listener is there
+      else delete test.expected;
+      test.description = describeExpectation(test.selector, test.event, test.expected);
+    }
+  }
+
+  /**
+   * Expect each loop to run as often as it does on the reference, and its
+   * break/continue to actually happen when they do there
+   * @param {string} content - Reference code
+   * @param {Object} jsResult - JavaScript parsing result
+   * @param {Array} loopTests - Loop tests in source order of their loops
+   */
+  async addLoopCounts(content, jsResult, loopTests) {
+    const counts = await this.sandboxRunner.countLoops(content, this.pageFor(jsResult));
+    if (!counts || counts.length !== loopTests.length) return;
+
+    loopTests.forEach((test, i) => {
+      const { iterations, breaks, continues } = counts[i];
+      // Loops in functions nobody calls while loading say nothing about the count
+      if (iterations > 0) test.iterations = iterations;
+      if (breaks > 0) test.breakExecuted = true;
+      if (continues > 0) test.continueExecuted = true;
+      test.description = describeLoop(test);
+    });
+  }
+
+  /**
+   * Bound how deep each recursive function may go: as deep as the reference
+   * goes for the input that makes it recurse the most, plus one level for a
+   * base case placed one step further down
+   * @param {string} content - Reference code
+   * @param {Object} jsResult - JavaScript parsing result
+   * @param {Array} recursionTests - Recursion tests to fill in
+   */
+  async addRecursionDepths(content, jsResult, recursionTests) {
+    for (const test of recursionTests) {
+      const inputs = jsResult.functions.find(f => f.name === test.functionName)?.inputs || [];
+      const calls = [{ name: test.functionName, args: null },
+        ...inputs.map(args => ({ name: test.functionName, args }))];
+      const depths = await this.sandboxRunner.measureRecursion(content, calls, this.pageFor(jsResult));
+
+      let deepest = 0;
+      let args = null;
+      depths.forEach((depth, i) => {
+        if (depth !== null && depth > deepest) {
+          deepest = depth;
+          args = calls[i].args;
+        }
+      });
+      // Never recursing on any input says nothing about how deep it should go
+      if (deepest < 2) continue;
+      if (args) test.args = args;
+      test.maxDepth = deepest + 1;
+      test.description = describeRecursion(test);
+    }
+  }
+
+  /**
+   * Expect the array methods the reference calls while loading to be called
+   * by the submission too
+   * @param {string} content - Reference code
+   * @param {Object} jsResult - JavaScript parsing result
+   * @param {Array} higherOrderTests - Higher-order tests to fill in
+   */
+  async addHigherOrderCalls(content, jsResult, higherOrderTests) {
+    const methods = [...new Set(higherOrderTests.map(test => test.method))];
+    const spied = await this.sandboxRunner.countArrayMethods(content, methods, this.pageFor(jsResult));
+    if (!spied) return;
+
+    for (const test of higherOrderTests) {
+      // Only the test's own calls count: a filter() that runs elsewhere says
+      // nothing about one in a function nobody calls while loading
+      const ran = jsResult.higherOrderCalls.some(call => call.method === test.method &&
+        call.variable === (test.variable ?? null) &&
+        spied.sites.some(site => site.method === call.method && site.line === call.line && site.column === call.column));
+      if (!ran) continue;
+      test.executed = true;
+      test.description = describeHigherOrder(test);
+    }
+  }
+
+  /**
+   * Record when output appears on a fake clock and how async functions settle
+   * @param {string} content - Reference code
+   * @param {Object} jsResult - JavaScript parsing result
+   * @param {Array} asyncTests - Async tests to fill in
+   */
+  async addAsyncExpectations(content, jsResult, asyncTests) {
+    const calls = jsResult.functions
+      .filter(f => f.async && f.topLevel && f.inputs?.length > 0)
+      .map(f => ({ name: f.name, args: f.inputs[0] }));
+
+    const recorded = await this.sandboxRunner.recordAsync(content, calls, {
+      ...this.pageFor(jsResult)
+    });
+
+    for (const test of asyncTests) {
+      if (recorded.timeline.length > 0) test.timeline = recorded.timeline;
+      if (recorded.calls.length > 0) test.calls = recorded.calls;
+    }
+  }
+
+  /**
+   * One behavioral test per branch: re-run the reference with the condition's
+   * input variable set on each side of the comparison and record which way
+   * the condition went, what it printed, what the other side printed instead
+   * and which variables ended up different
+   * @param {string} content - Reference code
+   * @param {Object} jsResult - JavaScript parsing result
+   * @returns {Promise<Array>} Branch tests
+   */
+  async buildBranchTests(content, jsResult) {
+    const tests = [];
+    const seen = new Set();
+
+    for (const point of jsResult.branchPoints) {
+      if (!(point.variable in jsResult.inputVariables)) continue;
+      const values = this.branchValues(point, jsResult.inputVariables[point.variable]);
+      if (values.length < 2) continue;
+
+      // The condition reports each outcome to the sandbox
+      const probed = applyEdits(content, [
+        { start: point.start, text: `${BRANCH_PROBE}(` },
+        { start: point.end, text: ")" }
+      ]);
+      const runs = [];
+      for (const value of values) {
+        const { code } = applyOverrides(probed, { [point.variable]: value });
+        const runtime = await this.sandboxRunner.runStable(code, {
+          globals: jsResult.declaredVariables,
+          ...this.pageFor(jsResult)
+        });
+        // A condition that never ran, or went both ways, has no side to test
+        const sides = new Set(runtime.branches);
+        if (runtime.error || sides.size !== 1) continue;
+        runs.push({ value, taken: [...sides][0], runtime });
+      }
+
+      // Variables the branch actually changes are worth asserting on
+      const changed = jsResult.declaredVariables.filter(name => name !== point.variable &&
+        runs.every(run => run.runtime.variables.has(name)) &&
+        new Set(runs.map(run => JSON.stringify(run.runtime.variables.get(name)))).size > 1);
+
+      const outputsVary = new Set(runs.map(run => JSON.stringify(run.runtime.outputs))).size > 1;
+      const condition = formatCondition(point.logic, JSON.stringify);
+
+      for (const run of runs) {
+        const expectedOutput = run.runtime.outputs.filter(output => output !== "");
+        // What console calls this run never reaches print on the other side is
+        // what a hard-coded answer would print here too
+        const sites = new Set(run.runtime.outputSites.map(site => JSON.stringify(site)));
+        const unexpectedOutput = [...new Set(runs.flatMap(other => other.runtime.outputs.filter((output, i) => {
+          const site = other.runtime.outputSites[i];
+          return site ? !sites.has(JSON.stringify(site)) : !expectedOutput.includes(output);
+        })))].filter(output => output !== "" && !expectedOutput.includes(output));
+        const expectedValues = Object.fromEntries(changed.map(name => [name, run.runtime.variables.get(name)]));
+        if (expectedOutput.length === 0 && unexpectedOutput.length === 0 && changed.length === 0) continue;
+        const key = JSON.stringify([point.line, run.taken, expectedOutput, unexpectedOutput, expectedValues]);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const outcomes = [];
+        if (expectedOutput.length > 0 && (outputsVary || changed.length === 0)) {
+          outcomes.push(`should print '${expectedOutput.join("', '")}'`);
+        }
+        if (unexpectedOutput.length > 0) outcomes.push(`should not print '${unexpectedOutput.join("', '")}'`);
+        if (changed.length > 0) {
+          outcomes.push(`should set ${Object.entries(expectedValues).map(([k, v]) => `${k} to ${JSON.stringify(v)}`).join(", ")}`);
+        }
+        tests.push({
+          type: "branch",
+          description: `When ${point.variable} is ${JSON.stringify(run.value)} (${condition} is ${run.taken}), ${outcomes.join(" and ")}`,
+          condition,
+          branch: run.taken,
+          overrides: { [point.variable]: run.value },
+          expectedOutput,
+          ...(unexpectedOutput.length > 0 ? { unexpectedOutput } : {}),
+          ...(changed.length > 0 ? { expectedValues } : {})
+        });
+      }
+    }
+
+    return tests;
+  }
+
+  /**
+   * Input values on both sides of a branch condition
+   * @param {Object} point - Branch point from the parser
+   * @param {*} current - The variable's value in the reference solution
+   * @returns {Array}
+   */
+  branchValues(point, current) {
+    const values = new Map();
+    for (const atom of conditionAtoms(point.logic)) {
+      if (typeof atom.value === "number" && typeof current === "number") {
+        for (const v of this.inputSynthesizer.boundaries(atom.value, atom.operator)) values.set(v, v);
+      } else if (typeof atom.value === "string" && typeof current === "string") {
+        const other = current !== atom.value ? current : "";
+        values.set(atom.value, atom.value).set(other, other);
+      }
+    }
+    // Bare truthiness checks: both sides of a boolean input
+    if (values.size === 0 && typeof current === "boolean") return [true, false];
+    return [...values.values()];
+  }
+
+  /**
+   * Sandbox page options: the fixture when there is one, else stubs for the
+   * ids the code looks up, plus the scripts the page loads before the file
+   * @param {Object} jsResult - JavaScript parsing result
+   * @returns {Object} { html } or { elementIds }, and { before }
+   */
+  pageFor(jsResult) {
+    const page = this.fixture ? { html: this.fixture } : { elementIds: this.collectElementIds(jsResult) };
+    return { ...page, before: this.earlierScripts ?? [] };
+  }
+
+  /**
+   * Ids the reference code looks up, so the sandbox can provide elements for them
+   * @param {Object} jsResult - JavaScript parsing result
+   * @returns {Array<string>}
+   */
+  collectElementIds(jsResult) {
+    const ids = new Set();
+    for (const d of jsResult.domManipulations) {
+      if (typeof d.selector !== "string") continue;
+      if (d.method === "getElementById") ids.add(d.selector);
+      else if (/^#[\w-]+$/.test(d.selector)) ids.add(d.selector.slice(1));
+    }
+    return [...ids];
+  }
+
+  /**
+   * @param {Object} runtime - SandboxRunner result
+   * @returns {Array} Variable tests
+   */
+  buildRuntimeVariableTests(runtime) {
+    return [...runtime.variables].map(([name, value]) => ({
+      type: "variable",
+      description: `Variable '${name}' should have final value ${JSON.stringify(value)}`,
+      variable: name,
+      expectedValue: value
+    }));
+  }
+
+  /**
+   * @param {Object} runtime - SandboxRunner result
+   * @param {Object} jsResult - JavaScript parsing result, for the console calls behind the output
+   * @returns {Array} Output tests
+   */
+  buildRuntimeOutputTests(runtime, jsResult) {
+    const tests = [];
+    runtime.outputs.forEach((output, i) => {
+      if (output === "" || tests.some(test => test.expectedOutput === output)) return;
+      const site = runtime.outputSites[i];
+      const call = site && jsResult.consoleCalls.find(c => c.line === site.line && c.column === site.column);
+      tests.push({
+        type: "output",
+        description: `Should print '${output}' using console.log`,
+        expectedOutput: output,
+        ...(call ? { callSite: call.source } : {})
+      });
+    });
+    return tests;
+  }
+
+  /**
+   * Expect the state the reference actually leaves the manipulated elements
+   * in, plus changes to other elements with ids
+   * @param {string} content - Reference code
+   * @param {Object} jsResult - JavaScript parsing result
+   * @param {Object} runtime - SandboxRunner result
+   * @returns {Promise<Array>} DOM structure tests
+   */
+  async buildRuntimeDOMTests(content, jsResult, runtime) {
+    const groups = groupManipulations(jsResult.domManipulations);
+    // Observed twice, like runStable(), so random or time-based state is left out
+    const observe = () => groups.length > 0
+      ? this.sandboxRunner.inspectElements(content, groups, this.pageFor(jsResult))
+      : [];
+    const observed = await observe();
+    const again = await observe();
+
+    const tests = [];
+    groups.forEach((group, i) => {
+      const expected = observedExpectation(group, observed[i], again[i]);
+      if (!expected) return;
+      tests.push({
+        type: "dom_structure",
+        description: describeDOMExpectation(group.selector, group.all, expected),
+        selector: group.selector,
+        ...(group.all ? { all: true } : {}),
+        expected
+      });
+    });
+
+    for (const change of runtime.dom) {
+      if (tests.some(test => !test.all && test.selector === change.selector)) continue;
+      tests.push({
+        type: "dom_structure",
+        description: describeDOMExpectation(change.selector, false, change.expected),
+        selector: change.selector,
+        expected: change.expected
+      });
+    }
+    return tests;
+  }
+
   /**
    * Generate suggestions for JavaScript code
    * @param {Object} jsResult - JavaScript parsing result
@@ -392,3 +1089,38 @@ export class TestcaseGenerator {
     return stats;
   }
 }
+
+/**
+ * Generate (or merge) in a worker thread that is terminated when it takes too
+ * long, since the vm timeout does not reach timers the reference schedules
+ * @param {Object} files - Filename -> content
+ * @param {Object} options - generateFromFiles options
+ * @param {Object} run - { previous, timeoutMs }, previous being a config to merge into
+ * @returns {Promise<Object>} { config, changes, statistics }, changes only when merging
+ * @throws {GenerationTimeoutError} When the worker does not finish in time
+ */
+export function generateInWorker(files, options = {}, { previous = null, timeoutMs = DEFAULT_GENERATION_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./generationWorker.js", import.meta.url), {
+      workerData: { files, options, previous }
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new GenerationTimeoutError(`Generation did not finish within ${timeoutMs / 1000}s (does the reference loop forever?)`));
+    }, timeoutMs);
+    worker.once("message", ({ error, ...result }) => {
+      clearTimeout(timer);
+      worker.terminate();
+      if (!error) return resolve(result);
+      // Errors cross the thread boundary as plain data
+      if (!error.problems) return reject(new Error(error.message));
+      const configError = new ConfigError("Config", error.problems);
+      configError.message = error.message;
+      reject(configError);
+    });
+    worker.once("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
@@ -0,0 +1,211 @@
+/**
+ * Conditions as trees, shared by the generator (which records them from the
+ * reference) and the validator (which looks for them in submissions):
+ *
+ *   { variable, operator, value }       a comparison, literal on the right
+ *   { variable }                        a bare truthiness check
+ *   { not: tree }
+ *   { op: "&&" | "||" | "??", operands: [tree, ...] }
+ */
+
+const FLIPPED = { "<": ">", "<=": ">=", ">": "<", ">=": "<=", "==": "==", "===": "===", "!=": "!=", "!==": "!==" };
+
+/**
+ * Describe an operand the way it appears in source: identifiers by name,
+ * literals by value, anything else as its source text
+ * @param {Object} node - Babel node
+ * @param {string} code - Source the node was parsed from
+ */
+export function describeOperand(node, code) {
+  node = unwrap(node);
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "NumericLiteral" || node.type === "StringLiteral" || node.type === "BooleanLiteral") {
+    return node.value;
+  }
+  if (node.type === "NullLiteral") return null;
+  if (node.type === "UnaryExpression" && node.operator === "-" && node.argument.type === "NumericLiteral") {
+    return -node.argument.value;
+  }
+  return code.slice(node.start, node.end);
+}
+
+/**
+ * @param {Object} node - A test expression
+ * @param {string} code
+ * @returns {Object} Condition tree
+ */
+export function describeCondition(node, code) {
+  node = unwrap(node);
+
+  if (node.type === "LogicalExpression") {
+    const operands = [];
+    for (const side of [node.left, node.right]) {
+      const part = describeCondition(side, code);
+      // a && b && c is one list of three rather than nested pairs
+      if (part.op === node.operator) operands.push(...part.operands);
+      else operands.push(part);
+    }
+    return { op: node.operator, operands };
+  }
+
+  if (node.type === "UnaryExpression" && node.operator === "!") {
+    const inner = describeCondition(node.argument, code);
+    return inner.not ? inner.not : { not: inner };
+  }
+
+  if (node.type === "BinaryExpression") {
+    if (isLiteral(node.left) && !isLiteral(node.right) && FLIPPED[node.operator]) {
+      return {
+        variable: describeOperand(node.right, code),
+        operator: FLIPPED[node.operator],
+        value: describeOperand(node.left, code)
+      };
+    }
+    return {
+      variable: describeOperand(node.left, code),
+      operator: node.operator,
+      value: describeOperand(node.right, code)
+    };
+  }
+
+  return { variable: describeOperand(node, code) };
+}
+
+/**
+ * @param {Object} node - SwitchStatement
+ * @param {string} code
+ * @returns {Object} { variable, cases, hasDefault }
+ */
+export function describeSwitch(node, code) {
+  return {
+    variable: describeOperand(node.discriminant, code),
+    cases: node.cases.filter(c => c.test).map(c => describeOperand(c.test, code)),
+    hasDefault: node.cases.some(c => !c.test)
+  };
+}
+
+/**
+ * Follow an if statement through its else-ifs
+ * @param {Object} node - IfStatement
+ * @param {string} code
+ * @returns {Object} { branches: [tree, ...], hasElse }
+ */
+export function describeChain(node, code) {
+  const branches = [];
+  let current = node;
+  while (current?.type === "IfStatement") {
+    branches.push(describeCondition(current.test, code));
+    current = current.alternate;
+  }
+  return { branches, hasElse: Boolean(current) };
+}
+
+/**
+ * @param {Object} tree
+ * @returns {Array} The comparisons in a tree, left to right
+ */
+export function conditionAtoms(tree) {
+  if (tree.op) return tree.operands.flatMap(conditionAtoms);
+  if (tree.not) return conditionAtoms(tree.not);
+  return tree.operator ? [tree] : [];
+}
+
+/**
+ * @param {Object} tree
+ * @param {Function} [formatValue] - How to write comparison values; operands
+ *   are recorded without quotes, so only callers that know a value is a
+ *   literal should quote it
+ * @returns {string} The tree written back as JavaScript, e.g. `a > 5 && !(b || c)`
+ */
+export function formatCondition(tree, formatValue = String) {
+  const format = (part) => formatCondition(part, formatValue);
+  if (tree.op) {
+    return tree.operands.map(part => part.op ? `(${format(part)})` : format(part)).join(` ${tree.op} `);
+  }
+  if (tree.not) {
+    return tree.not.op || tree.not.operator ? `!(${format(tree.not)})` : `!${format(tree.not)}`;
+  }
+  if (!tree.operator) return String(tree.variable);
+  return `${tree.variable} ${tree.operator} ${formatValue(tree.value)}`;
+}
+
+/**
+ * Whether a submission's condition has the shape of the expected one. The
+ * operands of && and || may come in any order, and `a < b` matches `b > a`.
+ * @param {Object} expected
+ * @param {Object} actual
+ * @returns {boolean}
+ */
+export function matchesCondition(expected, actual) {
+  if (expected.op) {
+    return actual.op === expected.op && actual.operands.length === expected.operands.length &&
+      matchOperands(expected.operands, actual.operands);
+  }
+  if (expected.not) return Boolean(actual.not) && matchesCondition(expected.not, actual.not);
+  if (actual.op || actual.not) return false;
+  if (!expected.operator) return !actual.operator && actual.variable === expected.variable;
+  if (actual.operator === expected.operator && actual.variable === expected.variable && actual.value === expected.value) {
+    return true;
+  }
+  return FLIPPED[actual.operator] === expected.operator &&
+    actual.variable === expected.value && actual.value === expected.variable;
+}
+
+/**
+ * Every condition-like construct in a program
+ * @param {Object} ast - Babel AST
+ * @param {string} code
+ * @returns {Object} { conditions: [tree], switches: [...], chains: [...] }
+ */
+export function collectConditions(ast, code) {
+  const found = { conditions: [], switches: [], chains: [] };
+  const elseIfs = new Set();
+
+  const visit = (node) => {
+    if (!node || typeof node.type !== "string") return;
+    switch (node.type) {
+      case "IfStatement":
+        found.conditions.push(describeCondition(node.test, code));
+        if (node.alternate?.type === "IfStatement") elseIfs.add(node.alternate);
+        if (!elseIfs.has(node)) found.chains.push(describeChain(node, code));
+        break;
+      case "ConditionalExpression":
+      case "WhileStatement":
+      case "DoWhileStatement":
+        found.conditions.push(describeCondition(node.test, code));
+        break;
+      case "ForStatement":
+        if (node.test) found.conditions.push(describeCondition(node.test, code));
+        break;
+      case "SwitchStatement":
+        found.switches.push(describeSwitch(node, code));
+        break;
+    }
+    for (const key of Object.keys(node)) {
+      if (key === "loc") continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(visit);
+      else if (child && typeof child === "object") visit(child);
+    }
+  };
+  visit(ast.program);
+  return found;
+}
+
+function matchOperands(expected, actual) {
+  if (expected.length === 0) return true;
+  const [first, ...rest] = expected;
+  return actual.some((candidate, i) => matchesCondition(first, candidate) &&
+    matchOperands(rest, actual.filter((_, j) => j !== i)));
+}
+
+function isLiteral(node) {
+  node = unwrap(node);
+  return ["NumericLiteral", "StringLiteral", "BooleanLiteral", "NullLiteral"].includes(node.type) ||
+    (node.type === "UnaryExpression" && node.operator === "-" && node.argument.type === "NumericLiteral");
+}
+
+function unwrap(node) {
+  while (node.type === "ParenthesizedExpression") node = node.expression;
+  return node;
+}
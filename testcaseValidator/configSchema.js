@@ -0,0 +1,165 @@
+import fs from "fs";
+import Ajv2020 from "ajv/dist/2020.js";
+
+/**
+ * Checks testcase configs against testcase.schema.json. Problems are reported
+ * with the path of the offending value, e.g.
+ * `Code_Validation["script.js"].structure[3]: unknown field "expectedOuput" (did you mean "expectedOutput"?)`
+ */
+
+export const SCHEMA_VERSION = 1;
+
+const schema = JSON.parse(fs.readFileSync(new URL("./testcase.schema.json", import.meta.url), "utf-8"));
+const ajv = new Ajv2020({ allErrors: true, discriminator: true, allowUnionTypes: true, verbose: true });
+const validateConfig = ajv.compile(schema);
+const validateTest = ajv.getSchema(`${schema.$id}#/$defs/test`);
+
+export const TEST_TYPES = schema.$defs.test.oneOf.map(ref => ref.$ref.split("/").pop());
+
+export class ConfigError extends Error {
+  /**
+   * @param {string} label - What was checked, e.g. a file name
+   * @param {Array} problems - [{ path, message }]
+   */
+  constructor(label, problems) {
+    super(`${label} is invalid:\n${problems.map(p => `  ${p.path ? `${p.path}: ` : ""}${p.message}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * @param {Object} config - { Code_Validation, fixture?, schemaVersion? }
+ * @returns {Array} Problems as { path, message }; empty when the config is valid
+ */
+export function checkConfig(config) {
+  return validateConfig(config) ? [] : describeErrors(validateConfig.errors);
+}
+
+/**
+ * @param {Object} test - One structure entry
+ * @returns {Array} Problems as { path, message }, with paths relative to the test
+ */
+export function checkTestcase(test) {
+  return validateTest(test) ? [] : describeErrors(validateTest.errors);
+}
+
+/**
+ * @param {Object} config
+ * @param {string} label - Used in the error message
+ * @throws {ConfigError} When the config does not match the schema
+ */
+export function assertValidConfig(config, label = "Config") {
+  const problems = checkConfig(config);
+  if (problems.length > 0) throw new ConfigError(label, problems);
+  return config;
+}
+
+/**
+ * Read, parse and check a config file
+ * @param {string} filepath
+ * @returns {Object} The config
+ */
+export function loadConfig(filepath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filepath, "utf-8"));
+  } catch (err) {
+    throw new ConfigError(filepath, [{ path: "", message: err.code === "ENOENT" ? "file not found" : `not valid JSON (${err.message})` }]);
+  }
+  return assertValidConfig(config, filepath);
+}
+
+// Ajv errors -> one readable message per problem
+function describeErrors(errors) {
+  const problems = [];
+  const handled = new Set();
+
+  for (const error of errors) {
+    if (handled.has(error)) continue;
+    const path = formatPath(error.instancePath);
+    const { params } = error;
+
+    switch (error.keyword) {
+      case "unevaluatedProperties":
+      case "additionalProperties": {
+        const field = params.unevaluatedProperty ?? params.additionalProperty;
+        const guess = closestField(field, error.parentSchema);
+        problems.push({ path, message: `unknown field "${field}"${guess ? ` (did you mean "${guess}"?)` : ""}` });
+        break;
+      }
+      case "required":
+        if (/\/anyOf\/\d+\/required$/.test(error.schemaPath)) break; // reported with the anyOf below
+        problems.push({ path, message: `missing "${params.missingProperty}"` });
+        break;
+      case "anyOf": {
+        // "at least one of" alternatives: collapse the branch errors into one line
+        const branches = errors.filter(e => e.instancePath === error.instancePath &&
+          e.schemaPath.startsWith(`${error.schemaPath}/`) && e.keyword === "required");
+        branches.forEach(e => handled.add(e));
+        problems.push({ path, message: branches.length > 0
+          ? `missing ${branches.map(e => `"${e.params.missingProperty}"`).join(" or ")}`
+          : error.message });
+        break;
+      }
+      case "discriminator":
+        problems.push({ path, message: params.error === "tag"
+          ? `missing "type"`
+          : `unknown test type "${params.tagValue}" (expected one of ${TEST_TYPES.join(", ")})` });
+        break;
+      case "if":
+        break; // the failing "then" reports the actual problem
+      case "enum":
+        problems.push({ path, message: `must be one of ${params.allowedValues.map(v => JSON.stringify(v)).join(", ")}` });
+        break;
+      case "const":
+        problems.push({ path, message: `must be ${JSON.stringify(params.allowedValue)}` });
+        break;
+      default:
+        problems.push({ path, message: error.message });
+    }
+  }
+  // The same problem can be found by more than one keyword
+  const seen = new Set();
+  return problems.filter(p => !seen.has(`${p.path}|${p.message}`) && seen.add(`${p.path}|${p.message}`));
+}
+
+// "/Code_Validation/script.js/structure/3" -> Code_Validation["script.js"].structure[3]
+function formatPath(pointer) {
+  return pointer.split("/").slice(1)
+    .map(part => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .map((part, i) => {
+      if (/^\d+$/.test(part)) return `[${part}]`;
+      if (/^[A-Za-z_$][\w$]*$/.test(part)) return i === 0 ? part : `.${part}`;
+      return `[${JSON.stringify(part)}]`;
+    })
+    .join("");
+}
+
+// The allowed field nearest to a misspelled one, if any is close enough
+function closestField(field, definition = {}) {
+  const shared = (definition.allOf || []).map(part => schema.$defs[part.$ref?.split("/").pop()]?.properties);
+  const known = [definition.properties, ...shared].flatMap(properties => Object.keys(properties || {}));
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(field.length / 4));
+  for (const candidate of known) {
+    const d = editDistance(field.toLowerCase(), candidate.toLowerCase());
+    if (d <= bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,140 @@
+/**
+ * Canonical forms for CSS values, so equivalent spellings compare equal:
+ * `#333`, `#333333`, `rgb(51 51 51)` and `hsl(0, 0%, 20%)` all become
+ * `rgb(51, 51, 51)`; `0px` becomes `0`, `.50em` becomes `0.5em`; keywords are
+ * lower-cased and `bold` becomes `700`.
+ */
+
+// CSS named colors as 0xRRGGBB
+const NAMED_COLORS = {
+  aliceblue: 0xf0f8ff, antiquewhite: 0xfaebd7, aqua: 0x00ffff, aquamarine: 0x7fffd4, azure: 0xf0ffff,
+  beige: 0xf5f5dc, bisque: 0xffe4c4, black: 0x000000, blanchedalmond: 0xffebcd, blue: 0x0000ff,
+  blueviolet: 0x8a2be2, brown: 0xa52a2a, burlywood: 0xdeb887, cadetblue: 0x5f9ea0, chartreuse: 0x7fff00,
+  chocolate: 0xd2691e, coral: 0xff7f50, cornflowerblue: 0x6495ed, cornsilk: 0xfff8dc, crimson: 0xdc143c,
+  cyan: 0x00ffff, darkblue: 0x00008b, darkcyan: 0x008b8b, darkgoldenrod: 0xb8860b, darkgray: 0xa9a9a9,
+  darkgreen: 0x006400, darkgrey: 0xa9a9a9, darkkhaki: 0xbdb76b, darkmagenta: 0x8b008b, darkolivegreen: 0x556b2f,
+  darkorange: 0xff8c00, darkorchid: 0x9932cc, darkred: 0x8b0000, darksalmon: 0xe9967a, darkseagreen: 0x8fbc8f,
+  darkslateblue: 0x483d8b, darkslategray: 0x2f4f4f, darkslategrey: 0x2f4f4f, darkturquoise: 0x00ced1,
+  darkviolet: 0x9400d3, deeppink: 0xff1493, deepskyblue: 0x00bfff, dimgray: 0x696969, dimgrey: 0x696969,
+  dodgerblue: 0x1e90ff, firebrick: 0xb22222, floralwhite: 0xfffaf0, forestgreen: 0x228b22, fuchsia: 0xff00ff,
+  gainsboro: 0xdcdcdc, ghostwhite: 0xf8f8ff, gold: 0xffd700, goldenrod: 0xdaa520, gray: 0x808080,
+  green: 0x008000, greenyellow: 0xadff2f, grey: 0x808080, honeydew: 0xf0fff0, hotpink: 0xff69b4,
+  indianred: 0xcd5c5c, indigo: 0x4b0082, ivory: 0xfffff0, khaki: 0xf0e68c, lavender: 0xe6e6fa,
+  lavenderblush: 0xfff0f5, lawngreen: 0x7cfc00, lemonchiffon: 0xfffacd, lightblue: 0xadd8e6, lightcoral: 0xf08080,
+  lightcyan: 0xe0ffff, lightgoldenrodyellow: 0xfafad2, lightgray: 0xd3d3d3, lightgreen: 0x90ee90,
+  lightgrey: 0xd3d3d3, lightpink: 0xffb6c1, lightsalmon: 0xffa07a, lightseagreen: 0x20b2aa,
+  lightskyblue: 0x87cefa, lightslategray: 0x778899, lightslategrey: 0x778899, lightsteelblue: 0xb0c4de,
+  lightyellow: 0xffffe0, lime: 0x00ff00, limegreen: 0x32cd32, linen: 0xfaf0e6, magenta: 0xff00ff,
+  maroon: 0x800000, mediumaquamarine: 0x66cdaa, mediumblue: 0x0000cd, mediumorchid: 0xba55d3,
+  mediumpurple: 0x9370db, mediumseagreen: 0x3cb371, mediumslateblue: 0x7b68ee, mediumspringgreen: 0x00fa9a,
+  mediumturquoise: 0x48d1cc, mediumvioletred: 0xc71585, midnightblue: 0x191970, mintcream: 0xf5fffa,
+  mistyrose: 0xffe4e1, moccasin: 0xffe4b5, navajowhite: 0xffdead, navy: 0x000080, oldlace: 0xfdf5e6,
+  olive: 0x808000, olivedrab: 0x6b8e23, orange: 0xffa500, orangered: 0xff4500, orchid: 0xda70d6,
+  palegoldenrod: 0xeee8aa, palegreen: 0x98fb98, paleturquoise: 0xafeeee, palevioletred: 0xdb7093,
+  papayawhip: 0xffefd5, peachpuff: 0xffdab9, peru: 0xcd853f, pink: 0xffc0cb, plum: 0xdda0dd,
+  powderblue: 0xb0e0e6, purple: 0x800080, rebeccapurple: 0x663399, red: 0xff0000, rosybrown: 0xbc8f8f,
+  royalblue: 0x4169e1, saddlebrown: 0x8b4513, salmon: 0xfa8072, sandybrown: 0xf4a460, seagreen: 0x2e8b57,
+  seashell: 0xfff5ee, sienna: 0xa0522d, silver: 0xc0c0c0, skyblue: 0x87ceeb, slateblue: 0x6a5acd,
+  slategray: 0x708090, slategrey: 0x708090, snow: 0xfffafa, springgreen: 0x00ff7f, steelblue: 0x4682b4,
+  tan: 0xd2b48c, teal: 0x008080, thistle: 0xd8bfd8, tomato: 0xff6347, turquoise: 0x40e0d0, violet: 0xee82ee,
+  wheat: 0xf5deb3, white: 0xffffff, whitesmoke: 0xf5f5f5, yellow: 0xffff00, yellowgreen: 0x9acd32
+};
+
+const FONT_WEIGHTS = { normal: "400", bold: "700" };
+
+const COLOR_PATTERN = /#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?)\([^)]*\)|\b[a-z]+\b/gi;
+
+function rgbString(r, g, b, a = 1) {
+  const clamp = (n) => Math.min(255, Math.max(0, Math.round(n)));
+  const alpha = Math.min(1, Math.max(0, Math.round(a * 1000) / 1000));
+  return alpha === 1
+    ? `rgb(${clamp(r)}, ${clamp(g)}, ${clamp(b)})`
+    : `rgba(${clamp(r)}, ${clamp(g)}, ${clamp(b)}, ${alpha})`;
+}
+
+function parseChannel(text, max) {
+  return text.endsWith("%") ? (parseFloat(text) / 100) * max : parseFloat(text);
+}
+
+function hslToRgb(h, s, l) {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+/**
+ * @param {string} value - One color (hex, rgb[a](), hsl[a]() or a name)
+ * @returns {string|null} `rgb(r, g, b)`/`rgba(r, g, b, a)`, or null when it is not a color
+ */
+export function normalizeColor(value) {
+  const text = String(value).trim().toLowerCase();
+
+  if (text === "transparent") return "rgba(0, 0, 0, 0)";
+  if (text in NAMED_COLORS) {
+    const n = NAMED_COLORS[text];
+    return rgbString(n >> 16, (n >> 8) & 0xff, n & 0xff);
+  }
+
+  const hex = text.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) digits = [...digits].map(d => d + d).join("");
+    if (digits.length !== 6 && digits.length !== 8) return null;
+    const [r, g, b, a = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return rgbString(r, g, b, a / 255);
+  }
+
+  const fn = text.match(/^(rgba?|hsla?)\((.*)\)$/);
+  if (!fn) return null;
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const alpha = parts[3] !== undefined ? parseChannel(parts[3], 1) : 1;
+
+  if (fn[1].startsWith("rgb")) {
+    return rgbString(parseChannel(parts[0], 255), parseChannel(parts[1], 255), parseChannel(parts[2], 255), alpha);
+  }
+  const [r, g, b] = hslToRgb(parseFloat(parts[0]), parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100);
+  return rgbString(r, g, b, alpha);
+}
+
+// 0px -> 0, .50em -> 0.5em, 10.0% -> 10%
+function normalizeNumber(match, number, unit) {
+  const n = Number(number);
+  if (Number.isNaN(n)) return match;
+  if (n === 0 && unit !== "%" && !/^(s|ms|deg|fr)$/.test(unit)) return "0";
+  return `${n}${unit}`;
+}
+
+/**
+ * @param {string} property - CSS property name
+ * @param {string} value - Declared or computed value
+ * @returns {string} Canonical value
+ */
+export function normalizeCssValue(property, value) {
+  let text = String(value ?? "").replace(/\s*!important\s*$/i, "").replace(/\s+/g, " ").trim();
+  const prop = String(property).toLowerCase();
+
+  // Strings and urls keep their case
+  if (/["']|url\(/i.test(text)) return text;
+
+  text = text.toLowerCase();
+  if (prop === "font-weight" && text in FONT_WEIGHTS) return FONT_WEIGHTS[text];
+
+  text = text
+    .replace(/\s*,\s*/g, ", ")
+    .replace(COLOR_PATTERN, token => normalizeColor(token) ?? token)
+    .replace(/(-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)/g, normalizeNumber);
+
+  return text;
+}
+
+/**
+ * @param {string} property
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} Whether the two values mean the same thing
+ */
+export function cssValuesEqual(property, a, b) {
+  return normalizeCssValue(property, a) === normalizeCssValue(property, b);
+}
@@ -0,0 +1,95 @@
+/**
+ * Deterministic replacement for a window's timers. Student code schedules
+ * work as usual; tests decide when time passes with tick()/runAll(), and
+ * promise callbacks are flushed after every timer so ordering matches a real
+ * event loop.
+ */
+export class FakeClock {
+  constructor(window) {
+    this.window = window;
+    this.now = 0;
+    this.timers = new Map();
+    this.nextId = 1;
+    this.errors = [];
+  }
+
+  install() {
+    const w = this.window;
+    const schedule = (fn, ms, args, repeat) => {
+      const id = this.nextId++;
+      const delay = Math.max(0, Number(ms) || 0);
+      if (typeof fn === "function") {
+        this.timers.set(id, { id, fn, args, at: this.now + delay, interval: repeat ? Math.max(1, delay) : null });
+      }
+      return id;
+    };
+
+    w.setTimeout = (fn, ms, ...args) => schedule(fn, ms, args, false);
+    w.setInterval = (fn, ms, ...args) => schedule(fn, ms, args, true);
+    w.clearTimeout = (id) => { this.timers.delete(id); };
+    w.clearInterval = (id) => { this.timers.delete(id); };
+
+    const epoch = w.Date.now();
+    w.Date.now = () => epoch + this.now;
+    return this;
+  }
+
+  // Let pending promise reactions (including chained ones) run
+  async flush() {
+    for (let i = 0; i < 10; i++) {
+      await new Promise(r => setImmediate(r));
+    }
+  }
+
+  nextTimer() {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) next = timer;
+    }
+    return next;
+  }
+
+  // Milliseconds until the next timer fires, or null when none are pending
+  nextDelay() {
+    const next = this.nextTimer();
+    return next ? next.at - this.now : null;
+  }
+
+  /**
+   * Advance time by ms, firing every timer that falls due in order
+   */
+  async tick(ms) {
+    const target = this.now + ms;
+    await this.flush();
+    for (;;) {
+      const timer = this.nextTimer();
+      if (!timer || timer.at > target) break;
+      await this.fire(timer);
+    }
+    this.now = target;
+  }
+
+  /**
+   * Fire timers until none are left; intervals stop after maxTimers callbacks
+   */
+  async runAll(maxTimers = 1000) {
+    await this.flush();
+    for (let fired = 0; fired < maxTimers; fired++) {
+      const timer = this.nextTimer();
+      if (!timer) return;
+      await this.fire(timer);
+    }
+  }
+
+  async fire(timer) {
+    this.now = timer.at;
+    if (timer.interval) timer.at += timer.interval;
+    else this.timers.delete(timer.id);
+    try {
+      timer.fn(...timer.args);
+    } catch (err) {
+      this.errors.push(err?.message || String(err));
+    }
+    await this.flush();
+  }
+}
@@ -0,0 +1,107 @@
+import { FUNCTION_TYPES, functionName } from "./loops.js";
+
+/**
+ * Calls of array higher-order methods as the generator records them from the
+ * reference and the validator finds them in submissions,
+ *
+ *   { method, variable, functionName, line, column }
+ *
+ * variable being the receiver as written (`prices`, `this.items`), or null
+ * when it is not a plain name or property chain, e.g. another call's result,
+ * and column where the method name starts (0-based), which is where stack
+ * traces place the call.
+ * forEach on a querySelectorAll/getElementsBy* list is not an array method
+ * and is left out.
+ */
+
+export const HIGHER_ORDER_METHODS = [
+  "map", "filter", "reduce", "reduceRight", "forEach", "find", "findIndex",
+  "findLast", "findLastIndex", "some", "every", "flatMap"
+];
+const DOM_LIST_METHODS = new Set(["querySelectorAll", "getElementsByClassName", "getElementsByTagName", "getElementsByName"]);
+
+/**
+ * @param {Object} ast - Babel AST
+ * @param {string} code - Source the AST was parsed from
+ * @returns {Array} Calls in source order
+ */
+export function findHigherOrderCalls(ast, code) {
+  const found = [];
+  // Names bound to DOM lists, wherever they are declared
+  const domLists = new Set();
+
+  const visit = (node, parent, scope) => {
+    if (!node || typeof node.type !== "string") return;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      scope = { functionName: functionName(node, parent) ?? scope.functionName };
+    } else if (node.type === "VariableDeclarator" && node.id.type === "Identifier" && isDOMList(node.init, domLists)) {
+      domLists.add(node.id.name);
+    } else if (node.type === "CallExpression" && node.callee.type === "MemberExpression" && !node.callee.computed &&
+        HIGHER_ORDER_METHODS.includes(node.callee.property.name) && node.arguments.length > 0 &&
+        !isDOMList(node.callee.object, domLists)) {
+      const receiver = node.callee.object;
+      const written = code.slice(receiver.start, receiver.end);
+      found.push({
+        method: node.callee.property.name,
+        variable: /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(written) ? written : null,
+        functionName: scope.functionName,
+        line: node.loc?.start.line || 0,
+        column: node.callee.property.loc?.start.column ?? 0
+      });
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === "loc" || key === "leadingComments" || key === "trailingComments" || key === "innerComments") continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(item => visit(item, node, scope));
+      else if (child && typeof child === "object") visit(child, node, scope);
+    }
+  };
+  visit(ast.program, null, { functionName: null });
+  return found;
+}
+
+/**
+ * Count calls of array methods on a page's own Array
+ * @param {Function} ArrayConstructor - The page's Array
+ * @param {Array<string>} methods
+ * @param {Function} onCall - Called with the method's name on each call,
+ *   from inside the spy, e.g. to read where the call came from off a stack
+ * @returns {Object} { counts: method -> calls, restore() }
+ */
+export function spyOnArrayMethods(ArrayConstructor, methods, onCall = null) {
+  const proto = ArrayConstructor.prototype;
+  const counts = {};
+  const originals = {};
+  for (const method of methods) {
+    const original = proto[method];
+    if (typeof original !== "function") continue;
+    originals[method] = original;
+    counts[method] = 0;
+    proto[method] = function (...args) {
+      counts[method]++;
+      if (onCall) onCall(method);
+      return original.apply(this, args);
+    };
+  }
+  return {
+    counts,
+    restore: () => Object.assign(proto, originals)
+  };
+}
+
+/**
+ * @param {Object} test - Higher-order test
+ * @returns {string} e.g. `Should use prices.map() while the page loads`
+ */
+export function describeHigherOrder(test) {
+  const call = test.variable ? `${test.variable}.${test.method}()` : `.${test.method}()`;
+  return `Should use ${call}${test.executed ? " while the page loads" : ""}`;
+}
+
+function isDOMList(node, domLists) {
+  if (node?.type === "Identifier") return domLists.has(node.name);
+  return node?.type === "CallExpression" && node.callee.type === "MemberExpression" &&
+    DOM_LIST_METHODS.has(node.callee.property.name);
+}
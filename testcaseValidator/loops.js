@@ -0,0 +1,201 @@
+import * as babelParser from "@babel/parser";
+import { applyEdits } from "./sourceEdits.js";
+
+/**
+ * Loops as the generator records them from the reference and the validator
+ * finds them in submissions, plus instrumentation that counts what they do at
+ * runtime:
+ *
+ *   { index, loopType, functionName, subject, line, hasBreak, hasContinue }
+ *
+ * functionName is the nearest enclosing named function (null at top level),
+ * subject what the loop goes over as written: the iterated expression of a
+ * for...of or for...in, the condition of any other loop (null for for (;;)).
+ * index is the loop's position in source order, which is also its slot in
+ * the probe's counts.
+ */
+
+export const LOOP_PROBE = "__loopProbe";
+
+const LOOP_TYPES = {
+  ForStatement: "for_loop",
+  WhileStatement: "while_loop",
+  DoWhileStatement: "do_while_loop",
+  ForOfStatement: "for_of_loop",
+  ForInStatement: "for_in_loop"
+};
+const LOOP_LABELS = {
+  for_loop: "for",
+  while_loop: "while",
+  do_while_loop: "do...while",
+  for_of_loop: "for...of",
+  for_in_loop: "for...in"
+};
+export const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression", "ObjectMethod", "ClassMethod", "ClassPrivateMethod"
+]);
+
+/**
+ * @param {Object} ast - Babel AST
+ * @param {string} code - Source the AST was parsed from
+ * @returns {Array} Loops in source order
+ */
+export function findLoops(ast, code) {
+  return scanLoops(ast, code).map(({ breaks, continues, node, ...loop }) => loop);
+}
+
+/**
+ * Rewrite a program so every loop reports to `__loopProbe` when its body
+ * starts and when a break or continue aimed at it runs
+ * @param {string} code - Program source
+ * @returns {Object} { code, loops }, the code unchanged when it does not parse
+ */
+export function instrumentLoops(code) {
+  let ast;
+  try {
+    ast = babelParser.parse(code, { sourceType: "script", errorRecovery: true, allowAwaitOutsideFunction: true });
+  } catch {
+    return { code, loops: [] };
+  }
+  const records = scanLoops(ast, code);
+
+  // rank orders insertions at the same offset: the loop body wraps the
+  // break or continue it starts with
+  const inserts = [];
+  const wrap = (node, call, rank) => {
+    inserts.push({ start: node.start, text: `{ ${LOOP_PROBE}.${call}; `, rank });
+    inserts.push({ start: node.end, text: " }", rank });
+  };
+  for (const record of records) {
+    const { body } = record.node;
+    const call = `iterate(${record.index})`;
+    if (body.type === "BlockStatement") inserts.push({ start: body.start + 1, text: ` ${LOOP_PROBE}.${call};`, rank: 0 });
+    else wrap(body, call, 0);
+    for (const node of record.breaks) wrap(node, `exit(${record.index})`, 1);
+    for (const node of record.continues) wrap(node, `skip(${record.index})`, 1);
+  }
+
+  return {
+    code: applyEdits(code, inserts.sort((a, b) => a.rank - b.rank)),
+    loops: records.map(({ breaks, continues, node, ...loop }) => loop)
+  };
+}
+
+/**
+ * What instrumented code reports to, installed as the page's `__loopProbe`
+ * @param {number} count - Number of instrumented loops
+ * @returns {Object} { counts: [{ iterations, breaks, continues }], iterate, exit, skip }
+ */
+export function createLoopProbe(count) {
+  const counts = Array.from({ length: count }, () => ({ iterations: 0, breaks: 0, continues: 0 }));
+  return {
+    counts,
+    iterate: (i) => { counts[i].iterations++; },
+    exit: (i) => { counts[i].breaks++; },
+    skip: (i) => { counts[i].continues++; }
+  };
+}
+
+/**
+ * @param {Object} test - Loop test
+ * @returns {string} e.g. `Should use a for...of loop in 'total' that runs 3 time(s) and exits with break`
+ */
+export function describeLoop(test) {
+  const parts = [];
+  if (test.iterations !== undefined) parts.push(`runs ${test.iterations} time(s)`);
+  if (test.breakExecuted) parts.push("exits with break");
+  else if (test.hasBreak) parts.push("has a break");
+  if (test.continueExecuted) parts.push("skips with continue");
+  else if (test.hasContinue) parts.push("has a continue");
+
+  const where = test.functionName ? ` in '${test.functionName}'` : "";
+  const rest = parts.length > 0 ? ` that ${parts.join(" and ")}` : "";
+  return `Should use a ${loopLabel(test.loopType)} loop${where}${rest}`;
+}
+
+/**
+ * @param {string} loopType - e.g. "for_of_loop"
+ * @returns {string} e.g. "for...of"
+ */
+export function loopLabel(loopType) {
+  return LOOP_LABELS[loopType] || loopType;
+}
+
+// Loops with the break and continue statements that target them
+function scanLoops(ast, code) {
+  const records = [];
+
+  const visit = (node, parent, scope) => {
+    if (!node || typeof node.type !== "string") return;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      // Anonymous callbacks count as part of the function they are written in
+      const name = functionName(node, parent) ?? scope.functionName;
+      scope = { functionName: name, breakables: [], labels: new Map() };
+    } else if (LOOP_TYPES[node.type]) {
+      const record = {
+        index: records.length,
+        loopType: LOOP_TYPES[node.type],
+        functionName: scope.functionName,
+        subject: loopSubject(node, code),
+        line: node.loc?.start.line || 0,
+        hasBreak: false,
+        hasContinue: false,
+        node,
+        breaks: [],
+        continues: []
+      };
+      records.push(record);
+      const labels = new Map(scope.labels);
+      if (parent?.type === "LabeledStatement") labels.set(parent.label.name, record);
+      scope = { ...scope, loop: record, breakables: [...scope.breakables, record], labels };
+    } else if (node.type === "SwitchStatement") {
+      scope = { ...scope, breakables: [...scope.breakables, null] };
+    } else if (node.type === "BreakStatement") {
+      const target = node.label ? scope.labels.get(node.label.name) : scope.breakables.at(-1);
+      if (target) {
+        target.hasBreak = true;
+        target.breaks.push(node);
+      }
+    } else if (node.type === "ContinueStatement") {
+      const target = node.label ? scope.labels.get(node.label.name) : scope.loop;
+      if (target) {
+        target.hasContinue = true;
+        target.continues.push(node);
+      }
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === "loc" || key === "leadingComments" || key === "trailingComments" || key === "innerComments") continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(item => visit(item, node, scope));
+      else if (child && typeof child === "object") visit(child, node, scope);
+    }
+  };
+  visit(ast.program, null, { functionName: null, loop: null, breakables: [], labels: new Map() });
+  return records;
+}
+
+// Source of what a loop iterates or tests, with whitespace collapsed
+function loopSubject(node, code) {
+  const subject = node.right ?? node.test;
+  return subject ? code.slice(subject.start, subject.end).replace(/\s+/g, " ") : null;
+}
+
+/**
+ * @param {Object} node - Function node
+ * @param {Object} parent - Node it appears in
+ * @returns {string|null} Its own name, or the name of what it is assigned to
+ */
+export function functionName(node, parent) {
+  if (node.id?.name) return node.id.name;
+  if ((node.type === "ObjectMethod" || node.type.startsWith("Class")) && !node.computed) {
+    return node.key.name ?? node.key.id?.name ?? null;
+  }
+  if (parent?.type === "VariableDeclarator" && parent.id.type === "Identifier") return parent.id.name;
+  if ((parent?.type === "ObjectProperty" || parent?.type === "ClassProperty") && !parent.computed) {
+    return parent.key.name ?? null;
+  }
+  if (parent?.type === "AssignmentExpression" && parent.left.type === "Identifier") return parent.left.name;
+  return null;
+}
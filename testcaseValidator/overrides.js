@@ -0,0 +1,38 @@
+import * as babelParser from "@babel/parser";
+import { applyEdits } from "./sourceEdits.js";
+
+/**
+ * Replace the initializers of top-level variable declarations, so a test can
+ * re-run a program with different inputs (e.g. `const orderAmount = 850;`
+ * becomes `const orderAmount = 1000;`).
+ * @param {string} code - Program source
+ * @param {Object} overrides - Variable name -> JSON-serializable value
+ * @returns {Object} { code, missing } where missing lists names not declared at top level
+ */
+export function applyOverrides(code, overrides = {}) {
+  const names = Object.keys(overrides);
+  if (names.length === 0) return { code, missing: [] };
+
+  let ast;
+  try {
+    ast = babelParser.parse(code, { sourceType: "script", errorRecovery: true, allowAwaitOutsideFunction: true });
+  } catch {
+    return { code, missing: names };
+  }
+
+  const edits = [];
+  const found = new Set();
+  for (const stmt of ast.program.body) {
+    if (stmt.type !== "VariableDeclaration") continue;
+    for (const decl of stmt.declarations) {
+      const name = decl.id.type === "Identifier" ? decl.id.name : null;
+      if (!name || !(name in overrides) || found.has(name)) continue;
+      const literal = JSON.stringify(overrides[name]);
+      if (decl.init) edits.push({ start: decl.init.start, end: decl.init.end, text: literal });
+      else edits.push({ start: decl.id.end, end: decl.id.end, text: ` = ${literal}` });
+      found.add(name);
+    }
+  }
+
+  return { code: applyEdits(code, edits), missing: names.filter(name => !found.has(name)) };
+}
@@ -0,0 +1,164 @@
+import * as babelParser from "@babel/parser";
+import { applyEdits } from "./sourceEdits.js";
+import { FUNCTION_TYPES, functionName } from "./loops.js";
+
+/**
+ * Recursion as the generator records it from the reference and the validator
+ * finds it in submissions: named functions that reach themselves through
+ * calls, directly or through other functions of the same file,
+ *
+ *   { functionName, through: [name, ...] }      through empty for a direct self-call
+ *
+ * plus instrumentation that measures how deep each function's calls nest.
+ * Calls by name and `this.name(...)` count; calls through other references
+ * do not.
+ */
+
+export const CALL_PROBE = "__callProbe";
+
+/**
+ * @param {Object} ast - Babel AST
+ * @returns {Array} Recursive functions in source order
+ */
+export function findRecursion(ast) {
+  const { calls } = scanFunctions(ast);
+  const found = [];
+  for (const name of calls.keys()) {
+    const through = cycleThrough(name, calls);
+    if (through) found.push({ functionName: name, through });
+  }
+  return found;
+}
+
+/**
+ * Rewrite a program so every named function reports to `__callProbe` when a
+ * call to it starts and ends
+ * @param {string} code - Program source
+ * @returns {Object} { code, functions }, the code unchanged when it does not parse
+ */
+export function instrumentFunctions(code) {
+  let ast;
+  try {
+    ast = babelParser.parse(code, { sourceType: "script", errorRecovery: true, allowAwaitOutsideFunction: true });
+  } catch {
+    return { code, functions: [] };
+  }
+  const { functions } = scanFunctions(ast);
+
+  const inserts = [];
+  for (const { name, node, depth } of functions) {
+    const enter = `${CALL_PROBE}.enter(${JSON.stringify(name)});`;
+    const leave = `} finally { ${CALL_PROBE}.leave(${JSON.stringify(name)}); }`;
+    const { body } = node;
+    if (body.type === "BlockStatement") {
+      inserts.push({ start: body.start + 1, text: ` ${enter} try {`, closing: false, depth });
+      inserts.push({ start: body.end - 1, text: `${leave} `, closing: true, depth });
+    } else {
+      // Concise arrow bodies become blocks that return them
+      const start = body.extra?.parenthesized ? body.extra.parenStart : body.start;
+      const end = body.extra?.parenthesized ? code.indexOf(")", body.end) + 1 : body.end;
+      inserts.push({ start, text: `{ ${enter} try { return `, closing: false, depth });
+      inserts.push({ start: end, text: `; ${leave} }`, closing: true, depth });
+    }
+  }
+
+  // At the same offset an empty body opens before it closes, outer functions
+  // open before inner ones and close after them
+  inserts.sort((a, b) => a.closing - b.closing || (a.closing ? b.depth - a.depth : a.depth - b.depth));
+  return { code: applyEdits(code, inserts), functions: [...new Set(functions.map(f => f.name))] };
+}
+
+/**
+ * What instrumented code reports to, installed as the page's `__callProbe`
+ * @returns {Object} { enter, leave, maxDepth(name), reset() }
+ */
+export function createCallProbe() {
+  const depth = new Map();
+  const deepest = new Map();
+  return {
+    enter: (name) => {
+      const current = (depth.get(name) ?? 0) + 1;
+      depth.set(name, current);
+      if (current > (deepest.get(name) ?? 0)) deepest.set(name, current);
+    },
+    leave: (name) => { depth.set(name, depth.get(name) - 1); },
+    maxDepth: (name) => deepest.get(name) ?? 0,
+    // Forget the depths reached so far, e.g. while the page loaded
+    reset: () => deepest.clear()
+  };
+}
+
+/**
+ * @param {Object} test - Recursion test
+ * @returns {string} e.g. `Function 'isEven' should call itself through 'isOdd', at most 6 level(s) deep for isEven(4)`
+ */
+export function describeRecursion(test) {
+  const through = test.through?.length ? ` through ${test.through.map(name => `'${name}'`).join(", ")}` : "";
+  let depth = "";
+  if (test.maxDepth !== undefined) {
+    const call = test.args ? ` for ${test.functionName}(${test.args.map(arg => JSON.stringify(arg)).join(", ")})` : " while the page loads";
+    depth = `, at most ${test.maxDepth} level(s) deep${call}`;
+  }
+  return `Function '${test.functionName}' should call itself${through}${depth}`;
+}
+
+// Named functions with the nesting depth of their definitions, and which
+// named functions each one calls
+function scanFunctions(ast) {
+  const functions = [];
+  const calls = new Map();
+
+  const visit = (node, parent, scope) => {
+    if (!node || typeof node.type !== "string") return;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      const name = functionName(node, parent);
+      if (name) {
+        functions.push({ name, node, depth: scope.depth + 1 });
+        if (!calls.has(name)) calls.set(name, new Set());
+      }
+      // Anonymous callbacks call on behalf of the function they are written in
+      scope = { functionName: name ?? scope.functionName, depth: scope.depth + 1 };
+    } else if (node.type === "CallExpression" && scope.functionName) {
+      const callee = node.callee;
+      if (callee.type === "Identifier") calls.get(scope.functionName).add(callee.name);
+      if (callee.type === "MemberExpression" && callee.object.type === "ThisExpression" && !callee.computed) {
+        calls.get(scope.functionName).add(callee.property.name);
+      }
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === "loc" || key === "leadingComments" || key === "trailingComments" || key === "innerComments") continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(item => visit(item, node, scope));
+      else if (child && typeof child === "object") visit(child, node, scope);
+    }
+  };
+  visit(ast.program, null, { functionName: null, depth: 0 });
+  return { functions, calls };
+}
+
+// The functions a call chain from name back to itself passes through (empty
+// for a direct self-call), or null when there is none
+function cycleThrough(name, calls) {
+  const callees = calls.get(name);
+  if (callees.has(name)) return [];
+
+  const cameFrom = new Map([...callees].filter(callee => calls.has(callee)).map(callee => [callee, null]));
+  const queue = [...cameFrom.keys()];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const next of calls.get(current)) {
+      if (next === name) {
+        const through = [];
+        for (let step = current; step !== null; step = cameFrom.get(step)) through.unshift(step);
+        return through;
+      }
+      if (calls.has(next) && !cameFrom.has(next)) {
+        cameFrom.set(next, current);
+        queue.push(next);
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,43 @@
+import vm from "vm";
+
+/**
+ * How page scripts run, shared by the generator's sandbox and the validator
+ * so expectations are recorded on the same evaluation path they are checked
+ * on: each file as a classic script in the page's global scope, the way a
+ * <script> tag runs it. Top-level let, const and class bindings stay block
+ * scoped and are visible to later scripts, without becoming properties of
+ * the global object.
+ */
+
+/**
+ * @param {string} code - Script source
+ * @param {Object} context - The page's VM context (dom.getInternalVMContext())
+ * @param {Object} options
+ * @param {string} options.filename - Name stack traces show for the script
+ * @param {number} options.timeoutMs - Give up on synchronous code running longer
+ * @returns {string|null} The error message when the script throws, else null
+ */
+export function runScript(code, context, { filename, timeoutMs } = {}) {
+  try {
+    new vm.Script(code, { filename }).runInContext(context, { timeout: timeoutMs });
+    return null;
+  } catch (err) {
+    return err?.message || String(err);
+  }
+}
+
+/**
+ * Look a top-level binding up as the page's own code would see it, so
+ * `let name` wins over the window's built-in `name`
+ * @param {Object} window - The page's window
+ * @param {string} name - Variable, function or class name
+ * @returns {Object} { ok, value }, ok false when undeclared or still in its
+ *   temporal dead zone
+ */
+export function readBinding(window, name) {
+  try {
+    return { ok: true, value: window.eval(name) };
+  } catch {
+    return { ok: false };
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Apply edits to a program's source, as the instrumentation and override
+ * rewrites make them: { start, end, text } replaces code.slice(start, end),
+ * an edit without end inserts at start. Offsets refer to the original code;
+ * edits must not overlap, and edits at the same offset come out in the order
+ * they are listed.
+ * @param {string} code - Program source
+ * @param {Array<Object>} edits - [{ start, end, text }]
+ * @returns {string} The edited code
+ */
+export function applyEdits(code, edits) {
+  // Apply from the end so earlier offsets stay valid; at the same offset the
+  // last listed goes in first, so the first listed ends up in front
+  const ordered = edits.map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => b.start - a.start || b.index - a.index);
+  let result = code;
+  for (const edit of ordered) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end ?? edit.start);
+  }
+  return result;
+}
@@ -0,0 +1,5 @@
+import { parentPort, workerData } from "worker_threads";
+import { validateSubmission } from "./validator.js";
+
+const { config, submission } = workerData;
+parentPort.postMessage(await validateSubmission(config, submission));
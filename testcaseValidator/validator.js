@@ -0,0 +1,1016 @@
+import { JSDOM } from "jsdom";
+import { Worker } from "worker_threads";
+import assert from "assert";
+import * as babelParser from "@babel/parser";
+import traverse from "@babel/traverse";
+import { FakeClock } from "./fakeClock.js";
+import { applyOverrides } from "./overrides.js";
+import { runScript, readBinding } from "./scripts.js";
+import { cssValuesEqual } from "./cssValues.js";
+import { assertValidConfig } from "./configSchema.js";
+import { collectConditions, conditionAtoms, formatCondition, matchesCondition } from "./conditions.js";
+import { findLoops, instrumentLoops, createLoopProbe, loopLabel, LOOP_PROBE } from "./loops.js";
+import { findRecursion, instrumentFunctions, createCallProbe, CALL_PROBE } from "./recursion.js";
+import { findHigherOrderCalls, spyOnArrayMethods } from "./higherOrder.js";
+
+let acorn = null;
+try { acorn = await import("acorn"); } catch { /* acorn optional */ }
+
+export const DEFAULT_JS_NAME = "script.js";
+
+// Tunables
+export const STUDENT_EXEC_WAIT_MS = 60;
+const DEFAULT_VALIDATION_TIMEOUT_MS = 30000;
+const VARIABLE_RESOLVE_WAIT_MS = 60;
+
+export const HANDLERS = {
+  variable: runVariableTest,
+  condition: runConditionTest,
+  object: runObjectTest,
+  function: runFunctionTest,
+  event: runEventTest,
+  output: runConsoleOutputTest,
+  loop: runLoopTest,
+  dom_structure: runDOMStructureTest,
+  ast: runASTTest,
+  commented_variable: runCommentedVariableTest,
+  commented_output: runCommentedOutputTest,
+  explanation: runExplanationTest,
+  class: runClassTest,
+  async: runAsyncTest,
+  branch: runBranchTest,
+  style: runStyleTest,
+  recursion: runRecursionTest,
+  higher_order: runHigherOrderTest
+};
+
+/**
+ * Ids the student code and the tests expect to find in the page
+ * @param {string} studentCode
+ * @param {Array} tests - structure entries
+ * @returns {Set<string>} "#id" selectors
+ */
+export function collectRequiredSelectors(studentCode, tests) {
+  const requiredSelectors = new Set();
+  const qMatches = (studentCode.match(/document\.querySelector\(['"`]#([^'"`]+)['"`]\)/g) || []);
+  for (const m of qMatches) {
+    const id = (m.match(/#([^'"`]+)['"`]\)/) || [])[1];
+    if (id) requiredSelectors.add(`#${id}`);
+  }
+  for (const t of tests) {
+    if (t.selector && typeof t.selector === "string" && t.selector.startsWith("#")) {
+      requiredSelectors.add(t.selector);
+    }
+    if (t.html && typeof t.html === "string") {
+      const idMatch = t.html.match(/id=['"]([^'"]+)['"]/);
+      if (idMatch) requiredSelectors.add(`#${idMatch[1]}`);
+    }
+  }
+  return requiredSelectors;
+}
+
+/**
+ * Run student code in a fresh page and check it against one test.
+ * Throws (usually an AssertionError) when the test fails.
+ * @param {string} studentCode - Source of the file the test belongs to
+ * @param {Object} test - structure entry
+ * @param {Object} options - { requiredSelectors, html, css, scripts, file }: the
+ *   page's markup and stylesheet, every script in load order ({ name, code };
+ *   defaults to studentCode alone) and the name of the test's own file
+ * @returns {Promise<boolean>} false when no handler exists for the test type
+ *
+ * The document is the test's own `fixture`, else `html`. Only when neither is
+ * given is a blank page built, with stub elements for requiredSelectors.
+ */
+export async function runTest(studentCode, test, options = {}) {
+  const { requiredSelectors = new Set(), html = null, css = "", file = DEFAULT_JS_NAME } = options;
+  const scripts = options.scripts || [{ name: file, code: studentCode }];
+  const handler = HANDLERS[test.type];
+  if (!handler) return false;
+
+  const fixture = test.fixture ?? html;
+  const baseHTML = fixture ? withoutExternalAssets(fixture) : "<!DOCTYPE html><html><body></body></html>";
+
+  const dom = new JSDOM(baseHTML, {
+    runScripts: "dangerously",
+    resources: "usable",
+    pretendToBeVisual: true
+  });
+
+  const { window } = dom;
+  const { document } = window;
+
+  // Without a fixture, elements the code looks up get stubs. With one, a
+  // missing element is the submission's problem and is not papered over.
+  for (const sel of fixture ? [] : requiredSelectors) {
+    const id = sel.startsWith("#") ? sel.slice(1) : sel;
+    const tag = (test && test.html && test.html.includes("<button")) ? "button" : "div";
+    const stub = document.createElement(tag);
+    stub.id = id;
+    document.body.appendChild(stub);
+  }
+
+  if (css) {
+    const style = document.createElement("style");
+    style.textContent = css;
+    document.head.appendChild(style);
+  }
+
+  const logs = [];
+  const originalConsole = { log: console.log, error: console.error, warn: console.warn };
+  console.log = (...a) => logs.push(a.join(" "));
+  console.error = (...a) => logs.push(a.join(" "));
+  console.warn = (...a) => logs.push(a.join(" "));
+  
+  // Redirect JSDOM console to Node.js console for capture
+  window.console.log = (...a) => logs.push(a.join(" "));
+  window.console.error = (...a) => logs.push(a.join(" "));
+  window.console.warn = (...a) => logs.push(a.join(" "));
+
+  // Async tests control time themselves instead of sleeping
+  const clock = test.type === "async" ? new FakeClock(window).install() : null;
+  // Higher-order tests see which array methods the page calls
+  const arraySpy = test.type === "higher_order" && test.method ? spyOnArrayMethods(window.Array, [test.method]) : null;
+  // Event tests see which listeners the scripts register
+  const listeners = test.type === "event" ? trackListeners(window) : null;
+
+  window.addEventListener("error", (ev) => {
+    logs.push(`__RUNTIME_ERROR__:${ev.message}`);
+    ev.preventDefault && ev.preventDefault();
+  });
+
+  // Structure tests of the HTML file are about its markup, not what scripts make of it
+  const markupOnly = test.type === "dom_structure" && /\.html?$/i.test(file);
+
+  // Scripts share the page's globals and run one after another, like <script> tags
+  let missing = [];
+  for (const script of markupOnly ? [] : scripts) {
+    // Branch tests re-run the program with some inputs replaced
+    let runCode = script.code;
+    if (script.name === file) ({ code: runCode, missing } = applyOverrides(script.code, test.overrides));
+    // Loop tests count what the file's loops actually do
+    if (script.name === file && test.type === "loop") {
+      const instrumented = instrumentLoops(runCode);
+      window[LOOP_PROBE] = createLoopProbe(instrumented.loops.length);
+      runCode = instrumented.code;
+    }
+    if (script.name === file && test.type === "recursion") {
+      window[CALL_PROBE] = createCallProbe();
+      runCode = instrumentFunctions(runCode).code;
+    }
+    evaluateScript(dom, runCode);
+  }
+
+  if (!clock && !markupOnly) await new Promise((r) => setTimeout(r, STUDENT_EXEC_WAIT_MS));
+
+  // Parsed once here for the handlers that look at how the code is written
+  const ast = parseSubmission(studentCode);
+  const context = { dom, window, document, logs, studentCode, ast, test, originalConsole, clock, missing, arraySpy, listeners, markupOnly };
+
+  try {
+    await handler(context);
+  } finally {
+    console.log = originalConsole.log;
+    console.error = originalConsole.error;
+    console.warn = originalConsole.warn;
+    try { dom.window.close(); } catch {}
+  }
+  return true;
+}
+
+/**
+ * Gather what one problem's page is made of: the fixture (or else the first
+ * HTML file) is the document, every stylesheet is applied in order, and
+ * scripts run in the order the HTML's <script src> tags list them (then in
+ * config order)
+ * @param {Object} codeValidation - A config's Code_Validation
+ * @param {string} fixture - The config's inline HTML fixture, if any
+ * @returns {Object} { html, css, scripts: [{ name, code }], files: [{ name, code, tests }] }
+ */
+export function assemblePage(codeValidation = {}, fixture = null) {
+  const entries = Object.entries(codeValidation);
+  const html = fixture ?? entries.find(([name]) => /\.html?$/i.test(name))?.[1].Ans ?? null;
+
+  const loadOrder = [...(html || "").matchAll(/<script\b[^>]*\bsrc\s*=\s*["']?([^"'\s>]+)/gi)]
+    .map(m => m[1].split("/").pop());
+  const rank = (name) => (loadOrder.includes(name) ? loadOrder.indexOf(name) : loadOrder.length);
+  const scripts = entries
+    .filter(([name]) => /\.m?js$/i.test(name))
+    .map(([name, block]) => ({ name, code: block.Ans || "" }))
+    .sort((a, b) => rank(a.name) - rank(b.name));
+
+  return {
+    html,
+    css: entries.filter(([name]) => /\.css$/i.test(name)).map(([, block]) => block.Ans || "").join("\n"),
+    scripts,
+    files: entries.map(([name, block]) => ({
+      name,
+      code: block.Ans || "",
+      tests: Array.isArray(block.structure) ? block.structure : []
+    }))
+  };
+}
+
+/**
+ * Options for runTest that put a test into its problem's combined page
+ * @param {Object} page - From assemblePage
+ * @param {string} file - Name of the file the test belongs to
+ * @returns {Object}
+ */
+export function pageOptions(page, file) {
+  const allCode = page.scripts.map(script => script.code).join("\n");
+  const allTests = page.files.flatMap(f => f.tests);
+  return {
+    requiredSelectors: collectRequiredSelectors(allCode, allTests),
+    html: page.html,
+    css: page.css,
+    scripts: page.scripts,
+    file
+  };
+}
+
+/**
+ * Check a student's submission against a config without mocha.
+ * Submitted files replace the reference answers; markup and stylesheets
+ * that were not submitted fall back to the reference versions.
+ * @param {Object} config - { Code_Validation, fixture }
+ * @param {Object} submission - Filename -> student content
+ * @returns {Promise<Object>} { total, passed, failed, skipped, results }
+ * @throws {ConfigError} When the config does not match testcase.schema.json
+ */
+export async function validateSubmission(config, submission = {}) {
+  assertValidConfig(config);
+  const codeValidation = {};
+  for (const [name, block] of Object.entries(config.Code_Validation || {})) {
+    const keepReference = /\.(html|css)$/.test(name);
+    codeValidation[name] = { ...block, Ans: submission[name] ?? (keepReference ? block.Ans : "") };
+  }
+
+  const page = assemblePage(codeValidation, config.fixture);
+  const results = [];
+
+  for (const { name, code, tests } of page.files) {
+    const options = pageOptions(page, name);
+    for (const [index, test] of tests.entries()) {
+      // Hidden tests must not reveal their expectation
+      const description = test.hidden ? `Hidden test #${index + 1} (${test.type})` : test.description || test.type;
+      const result = { file: name, index, type: test.type, description, status: "passed" };
+      if (test.id) result.id = test.id;
+      try {
+        const handled = await runTest(code, test, options);
+        if (!handled) result.status = "skipped";
+      } catch (err) {
+        result.status = "failed";
+        result.message = test.hidden && err instanceof assert.AssertionError ? "Hidden test failed" : err.message;
+      }
+      if (test.weight !== undefined) result.weight = test.weight;
+      results.push(result);
+    }
+  }
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  return { total: results.length, passed: count("passed"), failed: count("failed"), skipped: count("skipped"), results };
+}
+
+/**
+ * validateSubmission in a worker thread, so code that never finishes is
+ * stopped after timeoutMs instead of blocking the caller
+ * @param {Object} config
+ * @param {Object} submission
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<Object>} Same shape as validateSubmission, plus `error` on timeout
+ */
+export function validateInWorker(config, submission = {}, { timeoutMs = DEFAULT_VALIDATION_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./validationWorker.js", import.meta.url), {
+      workerData: { config, submission }
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      const total = assemblePage(config.Code_Validation).files.reduce((sum, f) => sum + f.tests.length, 0);
+      resolve({
+        total,
+        passed: 0,
+        failed: total,
+        skipped: 0,
+        results: [],
+        error: `Validation did not finish within ${timeoutMs / 1000}s (does the code loop forever?)`
+      });
+    }, timeoutMs);
+    worker.once("message", (result) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    });
+    worker.once("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+// Run the way the generator ran the reference: a runtime error ends the
+// script, not the page
+function evaluateScript(dom, code) {
+  const error = runScript(code, dom.getInternalVMContext(), { filename: "submission.js" });
+  if (error) dom.window.console.warn("Runtime error in student code:", error);
+}
+
+// The stylesheet and scripts come from the config, not from the page's links
+function withoutExternalAssets(html) {
+  return html
+    .replace(/<script\b[^>]*\bsrc\s*=[^>]*>\s*<\/script>/gi, "")
+    .replace(/<link\b[^>]*\brel\s*=\s*["']?stylesheet["']?[^>]*>/gi, "");
+}
+
+async function runVariableTest({ window, test }) {
+  await new Promise(r => setTimeout(r, VARIABLE_RESOLVE_WAIT_MS));
+  const val = readBinding(window, test.variable).value;
+  assert.ok(val !== undefined, `Variable ${test.variable} not defined`);
+  if (test.expectedValue !== undefined) {
+    // Handle array and object comparisons properly
+    if (Array.isArray(test.expectedValue) && Array.isArray(val)) {
+      // Manual array comparison (more reliable than deepStrictEqual for this use case)
+      let arraysEqual = true;
+      if (test.expectedValue.length !== val.length) {
+        arraysEqual = false;
+      } else {
+        for (let i = 0; i < test.expectedValue.length; i++) {
+          if (!sameValue(test.expectedValue[i], val[i])) {
+            arraysEqual = false;
+            break;
+          }
+        }
+      }
+      
+      if (!arraysEqual) {
+        assert.fail(`Arrays not equal: expected ${JSON.stringify(test.expectedValue)}, got ${JSON.stringify(val)}`);
+      }
+    } else if (test.expectedValue && typeof test.expectedValue === 'object' && !Array.isArray(test.expectedValue) && 
+               val && typeof val === 'object' && !Array.isArray(val)) {
+      // Manual object comparison
+      const expectedKeys = Object.keys(test.expectedValue);
+      const actualKeys = Object.keys(val);
+      
+      if (expectedKeys.length !== actualKeys.length) {
+        assert.fail(`Objects not equal: expected ${JSON.stringify(test.expectedValue)}, got ${JSON.stringify(val)}`);
+      }
+      
+      for (const key of expectedKeys) {
+        if (!sameValue(test.expectedValue[key], val[key])) {
+          assert.fail(`Objects not equal: expected ${JSON.stringify(test.expectedValue)}, got ${JSON.stringify(val)}`);
+        }
+      }
+    } else {
+      assert.strictEqual(val, test.expectedValue, `Expected ${test.variable}=${test.expectedValue}, got ${val}`);
+    }
+  }
+}
+
+async function runConditionTest({ studentCode, ast, test }) {
+  const found = ast ? collectConditions(ast, studentCode) : { conditions: [], switches: [], chains: [] };
+  if (test.kind && test.kind !== "comparison") {
+    runStructuredConditionTest(found, test);
+    return;
+  }
+
+  // Comparisons in the code itself, not in comments or strings; they may
+  // also be written the other way round (5 < x)
+  const expected = { variable: test.variable, operator: test.expectedOperator, value: test.expectedValue };
+  const matched = found.conditions.flatMap(conditionAtoms).some(atom => matchesCondition(expected, atom));
+  assert.ok(matched, `Condition ${test.variable} ${test.expectedOperator} ${test.expectedValue} not found`);
+}
+
+// Compound conditions, switches and else-if chains, compared by structure
+function runStructuredConditionTest(found, test) {
+  if (test.kind === "logical") {
+    assert.ok(found.conditions.some(c => matchesCondition(test.logic, c)),
+      `Condition ${formatCondition(test.logic)} not found`);
+  } else if (test.kind === "switch") {
+    const candidates = found.switches.filter(s => s.variable === test.variable);
+    assert.ok(candidates.length > 0, `No switch on ${test.variable} found`);
+    const complete = candidates.find(s => (test.cases || []).every(c => s.cases.includes(c)) &&
+      (!test.hasDefault || s.hasDefault));
+    assert.ok(complete, `switch (${test.variable}) should have cases ${(test.cases || []).join(", ")}` +
+      `${test.hasDefault ? " and a default" : ""}; found cases ${candidates[0].cases.join(", ")}` +
+      `${candidates[0].hasDefault ? " and a default" : ""}`);
+  } else if (test.kind === "chain") {
+    const matches = found.chains.some(chain => chain.branches.length === test.branches.length &&
+      chain.branches.every((branch, i) => matchesCondition(test.branches[i], branch)) &&
+      (!test.hasElse || chain.hasElse));
+    assert.ok(matches, `if / else if chain ${test.branches.map(b => formatCondition(b)).join(" / ")}` +
+      `${test.hasElse ? " / else" : ""} not found`);
+  }
+}
+
+// Whether code calls e.g. document.getElementById("title"), with the
+// selector written as a string literal
+function selects(ast, method, selector) {
+  let found = false;
+  traverse.default(ast, {
+    noScope: true,
+    CallExpression(path) {
+      const { callee, arguments: [arg] } = path.node;
+      if (callee.type !== "MemberExpression" || callee.computed || callee.property.name !== method) return;
+      const text = arg?.type === "StringLiteral" ? arg.value
+        : arg?.type === "TemplateLiteral" && arg.expressions.length === 0 ? arg.quasis[0].value.cooked : null;
+      if (text === selector) {
+        found = true;
+        path.stop();
+      }
+    }
+  });
+  return found;
+}
+
+// The submission's AST, or null when it does not parse. The handlers walk it
+// with noScope: error recovery lets through code such as a repeated let,
+// which Babel's scope tracking would reject
+function parseSubmission(code) {
+  try {
+    return babelParser.parse(code, { sourceType: "script", errorRecovery: true, allowAwaitOutsideFunction: true });
+  } catch {
+    return null;
+  }
+}
+
+async function runRecursionTest({ window, ast, test }) {
+  const recursive = ast ? findRecursion(ast).some(r => r.functionName === test.functionName) : false;
+  assert.ok(recursive, `Function '${test.functionName}' should call itself, directly or through other functions`);
+  if (test.maxDepth === undefined && !test.args) return;
+
+  // Depths as counted by runTest's instrumentation
+  const probe = window[CALL_PROBE];
+  let when = "while the page loads";
+  if (test.args) {
+    const fn = readBinding(window, test.functionName).value;
+    assert.ok(typeof fn === "function", `Function ${test.functionName} not defined`);
+    when = `for ${test.functionName}(${test.args.map(arg => JSON.stringify(arg)).join(", ")})`;
+    probe.reset();
+    try {
+      fn(...test.args);
+    } catch (err) {
+      assert.fail(`${test.functionName} threw ${when}: ${err?.message || err}`);
+    }
+  }
+
+  const depth = probe.maxDepth(test.functionName);
+  assert.ok(depth >= 2, `Function '${test.functionName}' should recurse ${when}, it went ${depth} level(s) deep`);
+  if (test.maxDepth !== undefined) {
+    assert.ok(depth <= test.maxDepth,
+      `Function '${test.functionName}' went ${depth} level(s) deep ${when}, at most ${test.maxDepth} expected`);
+  }
+}
+
+async function runHigherOrderTest({ studentCode, ast, test, arraySpy }) {
+  const calls = ast ? findHigherOrderCalls(ast, studentCode) : [];
+  const on = test.variable ? ` on '${test.variable}'` : "";
+  assert.ok(calls.some(call => call.method === test.method && (!test.variable || call.variable === test.variable)),
+    `Expected .${test.method}() to be used${on}`);
+
+  if (test.executed) {
+    assert.ok(arraySpy.counts[test.method] > 0, `Expected Array.prototype.${test.method} to be called while the page loads`);
+  }
+}
+
+async function runObjectTest({ window, test }) {
+  // Check if it's an object method test
+  if (test.method && test.expectedMethod) {
+    // Verify Object method exists
+    assert.ok(typeof window.Object[test.method] === "function", 
+      `Object.${test.method} method not available`);
+    return;
+  }
+  
+  // Original object test
+  await new Promise(r => setTimeout(r, VARIABLE_RESOLVE_WAIT_MS));
+  const obj = readBinding(window, test.objectName).value;
+  assert.ok(obj, `Object ${test.objectName} not found`);
+  if (Array.isArray(test.expectedProperties)) {
+    for (const key of test.expectedProperties) {
+      assert.ok(key in obj, `Property ${key} missing in object ${test.objectName}`);
+    }
+  } else if (test.properties) {
+    for (const [key, type] of Object.entries(test.properties)) {
+      assert.strictEqual(typeof obj[key], type, `Property ${key} should be of type ${type}`);
+    }
+  }
+}
+
+async function runFunctionTest({ window, test }) {
+  const fn = readBinding(window, test.functionName).value;
+  assert.ok(typeof fn === "function", `Function ${test.functionName} not defined`);
+  
+  // Check function parameters. fn.length stops at the first default or rest parameter.
+  if (test.expectedParameters) {
+    const firstOptional = test.expectedParameters.findIndex(name =>
+      name.startsWith("...") || (test.defaults && name in test.defaults));
+    const expectedLength = firstOptional === -1 ? test.expectedParameters.length : firstOptional;
+    assert.strictEqual(fn.length, expectedLength, firstOptional === -1
+      ? `Function ${test.functionName} should have ${expectedLength} parameter(s), got ${fn.length}`
+      : `Function ${test.functionName} should have ${expectedLength} parameter(s) before its default or rest parameters, got ${fn.length}`);
+  }
+  
+  // Check function type
+  if (test.functionType) {
+    // For now, just verify the function exists and is callable
+    assert.ok(typeof fn === "function", `Function ${test.functionName} should be a ${test.functionType}`);
+  }
+  
+  // Run test cases if provided
+  for (const tc of test.testCases || []) {
+    // A copy, so a function that changes its arguments leaves the config alone
+    const args = structuredClone(Array.isArray(tc.input) ? tc.input : [tc.input]);
+    const shown = args.map(arg => JSON.stringify(arg)).join(", ");
+    const result = fn(...args);
+    assert.ok(sameValue(tc.expected, result),
+      `Function ${test.functionName}(${shown}) returned ${JSON.stringify(result)}, expected ${JSON.stringify(tc.expected)}`);
+  }
+}
+
+async function runEventTest({ dom, window, document, logs, test, listeners }) {
+  const el = document.querySelector(test.selector);
+  assert.ok(el, `Element ${test.selector} not found after code execution`);
+
+  // Without effects to check, a listener for the event is what the test is about
+  if (Object.keys(test.expected || {}).length === 0) {
+    assert.ok(listeners.handles(el, test.event),
+      `Expected a '${test.event}' listener on ${test.selector} or an element containing it`);
+  }
+
+  const preLen = logs.length;
+  const event = new window.Event(test.event, { bubbles: true });
+  el.dispatchEvent(event);
+
+  await new Promise(r => setTimeout(r, 10));
+
+  const { consoleOutput, elements, ...properties } = test.expected || {};
+  const when = `after '${test.event}' on ${test.selector}`;
+
+  if (Array.isArray(consoleOutput)) {
+    assertInOrder(logs.slice(preLen), consoleOutput, when);
+  } else if (consoleOutput) {
+    const after = logs.slice(preLen).join("\n");
+    const expectedText = consoleOutput.toLowerCase();
+    assert.ok(
+      after.toLowerCase().includes(expectedText),
+      `Expected console output like "${consoleOutput}", got "${after}"`
+    );
+  }
+
+  for (const [selector, changes] of Object.entries(elements || {})) {
+    const target = document.querySelector(selector);
+    assert.ok(target, `Element ${selector} not found ${when}`);
+    assertElementState(target, selector, changes, when);
+  }
+
+  // Older configs: property paths on the element itself, e.g. { "style.color": "red" }
+  assertElementState(el, test.selector, properties, when);
+}
+
+/**
+ * Record the listeners scripts add from here on
+ * @param {Object} window - The page's window
+ * @returns {Object} { handles(el, type) }, true when el, an ancestor, the
+ *   document or the window listens for type, through addEventListener or an
+ *   on<type> handler
+ */
+function trackListeners(window) {
+  const added = new Map();
+  const proto = window.EventTarget.prototype;
+  const original = proto.addEventListener;
+  proto.addEventListener = function (type, ...rest) {
+    if (!added.has(type)) added.set(type, new Set());
+    added.get(type).add(this);
+    return original.call(this, type, ...rest);
+  };
+
+  return {
+    handles: (el, type) => {
+      for (let node = el; node; node = node.parentNode ?? (node === window.document ? window : null)) {
+        if (added.get(type)?.has(node) || typeof node[`on${type}`] === "function") return true;
+        if (node === window) break;
+      }
+      return false;
+    }
+  };
+}
+
+function assertElementState(el, selector, changes, when) {
+  for (const [path, expected] of Object.entries(changes)) {
+    if (path === "classes") {
+      for (const [className, present] of Object.entries(expected)) {
+        assert.strictEqual(el.classList.contains(className), present,
+          `${selector} should ${present ? "have" : "not have"} class '${className}' ${when}`);
+      }
+      continue;
+    }
+    const actual = path.split(".").reduce((obj, key) => obj && obj[key], el);
+    if (path.startsWith("style.")) {
+      const property = path.slice(6).replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+      assert.ok(cssValuesEqual(property, actual, expected),
+        `Expected ${selector} ${path} to be "${expected}" ${when}, got "${actual}"`);
+    } else {
+      assert.strictEqual(actual, expected, `Expected ${selector} ${path} to be ${JSON.stringify(expected)} ${when}, got ${JSON.stringify(actual)}`);
+    }
+  }
+}
+
+async function runConsoleOutputTest({ dom, window, document, logs, test, studentCode, originalConsole }) {
+  const preLen = logs.length;
+
+  if (test.expectedOutput && test.expectedOutput.toLowerCase().includes("click")) {
+    const btn = document.querySelector("#btn") || document.querySelector(test.selector);
+    if (btn) {
+      btn.dispatchEvent(new window.Event("click", { bubbles: true }));
+      await new Promise(r => setTimeout(r, 10));
+    }
+  }
+
+  if (test.expectedOutput && logs.slice(preLen).length === 0) {
+    try { window.eval(studentCode); } catch {}
+  }
+
+  const found = logs.join("\n").includes(test.expectedOutput);
+  assert.ok(found, `Expected console output containing "${test.expectedOutput}"`);
+}
+
+async function runLoopTest({ window, studentCode, ast, test }) {
+  // Check for specific loop types
+  if (test.loopType) {
+    const where = test.functionName ? ` in function '${test.functionName}'` : "";
+    const label = `${loopLabel(test.loopType)} loop${where}`;
+    // Loops in comments or strings do not count
+    const candidates = (ast ? findLoops(ast, studentCode) : []).filter(loop => loop.loopType === test.loopType &&
+      (!test.functionName || loop.functionName === test.functionName));
+    assert.ok(candidates.length > 0, `Expected ${label} not found`);
+
+    // Check for break/continue statements if specified
+    if (test.hasBreak) {
+      assert.ok(candidates.some(loop => loop.hasBreak), `Expected break statement in ${label}`);
+    }
+    if (test.hasContinue) {
+      assert.ok(candidates.some(loop => loop.hasContinue), `Expected continue statement in ${label}`);
+    }
+
+    // What the loops did while the page loaded, as counted by runTest's instrumentation
+    const counts = window[LOOP_PROBE]?.counts || [];
+    const ran = candidates.map(loop => counts[loop.index] || { iterations: 0, breaks: 0, continues: 0 });
+    if (test.iterations !== undefined) {
+      assert.ok(ran.some(count => count.iterations === test.iterations),
+        `Expected ${label} to run ${test.iterations} time(s), ran ${ran.map(count => count.iterations).join(", ")}`);
+    }
+    if (test.breakExecuted) {
+      assert.ok(ran.some(count => count.breaks > 0), `Expected a break in ${label} to run`);
+    }
+    if (test.continueExecuted) {
+      assert.ok(ran.some(count => count.continues > 0), `Expected a continue in ${label} to run`);
+    }
+  } else {
+    // Any kind of loop, forEach included
+    const found = ast
+      ? findLoops(ast, studentCode).length + findHigherOrderCalls(ast, studentCode).filter(call => call.method === "forEach").length
+      : 0;
+    assert.ok(found >= (test.expectedLoops || 1), `Expected at least ${test.expectedLoops || 1} loop(s), found ${found}`);
+  }
+}
+
+async function runDOMStructureTest({ document, ast, test, markupOnly }) {
+  // Selection tests: the submission should look the element up the same way
+  if (test.method && test.selector) {
+    assert.ok(ast && selects(ast, test.method, test.selector),
+      `Expected ${test.method}("${test.selector}") to be used to select the element`);
+    return;
+  }
+  
+  // Check if it's an innerHTML access test
+  if (test.element && test.property) {
+    // Verify the element exists and has the property
+    const el = document.querySelector(`#${test.element}`) || document.getElementById(test.element);
+    assert.ok(el, `Element ${test.element} not found`);
+    assert.ok(test.property in el, `Element ${test.element} should have ${test.property} property`);
+    return;
+  }
+
+  const { exists, count, ...state } = test.expected || {};
+  const when = markupOnly ? "in the page's markup" : "after the code runs";
+
+  if (test.all) {
+    const elements = [...document.querySelectorAll(test.selector)];
+    if (count !== undefined) {
+      assert.strictEqual(elements.length, count, `Expected ${count} element(s) matching '${test.selector}' ${when}, got ${elements.length}`);
+    } else {
+      assert.ok(elements.length > 0, `No element matches '${test.selector}' ${when}`);
+    }
+    elements.forEach((el, i) => assertDOMState(el, `${test.selector} (match ${i + 1})`, state, when));
+    return;
+  }
+
+  const el = document.querySelector(test.selector);
+  if (exists === false) {
+    assert.ok(!el, `${test.selector} should have been removed ${when}`);
+    return;
+  }
+  assert.ok(el, `Element ${test.selector} not found`);
+  assertDOMState(el, test.selector, state, when);
+}
+
+// assertElementState plus child counts by tag and attribute values
+function assertDOMState(el, selector, { children, attributes, ...changes }, when) {
+  for (const [tag, expected] of Object.entries(children || {})) {
+    const actual = [...el.children].filter(child => child.localName === tag).length;
+    assert.strictEqual(actual, expected, `Expected ${selector} to contain ${expected} <${tag}> ${when}, got ${actual}`);
+  }
+  for (const [name, expected] of Object.entries(attributes || {})) {
+    const actual = el.getAttribute(name);
+    assert.strictEqual(actual, expected, `Expected ${selector} attribute '${name}' to be ${JSON.stringify(expected)} ${when}, got ${JSON.stringify(actual)}`);
+  }
+  assertElementState(el, selector, changes, when);
+}
+
+async function runASTTest({ studentCode, test }) {
+  if (!acorn) {
+    this.skip && this.skip();
+    return;
+  }
+  const ast = acorn.parse(studentCode, { ecmaVersion: "latest", sourceType: "module" });
+
+  const found = JSON.stringify(ast).includes(test.astQuery?.type || "");
+  assert.ok(found, `AST check failed for ${JSON.stringify(test.astQuery)}`);
+}
+
+async function runCommentedVariableTest({ studentCode, ast, test }) {
+  // Only real declarations count: the commented-out line itself still reads "const x = ..."
+  const actualValue = ast ? findDeclaredValue(ast, studentCode, test.variable) : null;
+
+  if (actualValue !== null) {
+    // If uncommented, verify the value
+    const normalize = (source) => String(source).replace(/\s+/g, " ").trim();
+    assert.strictEqual(normalize(actualValue), normalize(test.expectedValue),
+      `Commented variable ${test.variable} was uncommented but with wrong value. Expected: ${test.expectedValue}, Got: ${actualValue}`);
+  } else {
+    // If still commented, this test should pass (student hasn't uncommented it yet)
+    assert.ok(true, `Variable ${test.variable} is still commented as expected`);
+  }
+}
+
+// Source of the initializer a variable is declared with, or null if it isn't
+function findDeclaredValue(ast, code, name) {
+  let value = null;
+  traverse.default(ast, {
+    noScope: true,
+    VariableDeclarator(path) {
+      const { id, init } = path.node;
+      if (id.name !== name || !init) return;
+      value = code.slice(init.start, init.end);
+      path.stop();
+    }
+  });
+  return value;
+}
+
+async function runCommentedOutputTest({ studentCode, test }) {
+  // Check if the commented console.log is actually uncommented in the code
+  const uncommentedPattern = new RegExp(`console\\.log\\([^)]+\\)`, 'g');
+  const consoleLogs = studentCode.match(uncommentedPattern) || [];
+  
+  // Check if any console.log contains the expected output
+  const hasExpectedOutput = consoleLogs.some(log => 
+    log.toLowerCase().includes(test.expectedOutput.toLowerCase())
+  );
+  
+  if (hasExpectedOutput) {
+    assert.ok(true, `Commented console output was uncommented: ${test.expectedOutput}`);
+  } else {
+    // If still commented, this test should pass (student hasn't uncommented it yet)
+    assert.ok(true, `Console output is still commented as expected`);
+  }
+}
+
+async function runExplanationTest({ studentCode, test }) {
+  // Explanation tests are informational and always pass
+  // They're used to document what the comment explains
+  assert.ok(true, `Comment explanation: ${test.comment}`);
+}
+
+async function runClassTest({ window, test }) {
+  const Cls = readBinding(window, test.className).value;
+  assert.ok(typeof Cls === "function", `Class ${test.className} not defined`);
+  assert.ok(/^class\b/.test(window.Function.prototype.toString.call(Cls)),
+    `${test.className} should be declared with the class keyword`);
+
+  if (test.superClass) {
+    const parent = Object.getPrototypeOf(Cls);
+    assert.ok(parent && parent.name === test.superClass,
+      `Class ${test.className} should extend ${test.superClass}, got ${parent && parent.name ? parent.name : "none"}`);
+  }
+
+  for (const method of test.methods || []) {
+    assert.ok(typeof Cls.prototype[method] === "function", `Class ${test.className} should have method ${method}()`);
+  }
+  for (const name of test.getters || []) {
+    assert.ok(typeof findAccessor(Cls.prototype, name)?.get === "function", `Class ${test.className} should have getter ${name}`);
+  }
+  for (const name of test.setters || []) {
+    assert.ok(typeof findAccessor(Cls.prototype, name)?.set === "function", `Class ${test.className} should have setter ${name}`);
+  }
+  for (const name of test.staticMembers || []) {
+    assert.ok(name in Cls, `Class ${test.className} should have static member ${name}`);
+  }
+
+  if (!test.constructorArgs && !test.calls && !test.expectedState) return;
+
+  const instance = new Cls(...(test.constructorArgs || []));
+
+  for (const name of test.fields || []) {
+    assert.ok(name in instance, `Instances of ${test.className} should have field ${name}`);
+  }
+
+  for (const call of test.calls || []) {
+    const label = "property" in call ? `${test.className}#${call.property}` : `${test.className}#${call.method}(${(call.args || []).join(", ")})`;
+    let result;
+    if ("property" in call) {
+      result = instance[call.property];
+    } else {
+      assert.ok(typeof instance[call.method] === "function", `${test.className} has no method ${call.method}()`);
+      result = instance[call.method](...(call.args || []));
+    }
+    if ("expected" in call) {
+      assert.strictEqual(JSON.stringify(result), JSON.stringify(call.expected),
+        `${label} returned ${JSON.stringify(result)}, expected ${JSON.stringify(call.expected)}`);
+    }
+  }
+
+  for (const [key, expected] of Object.entries(test.expectedState || {})) {
+    assert.strictEqual(JSON.stringify(instance[key]), JSON.stringify(expected),
+      `${test.className} instance property ${key} expected ${JSON.stringify(expected)}, got ${JSON.stringify(instance[key])}`);
+  }
+}
+
+async function runAsyncTest({ window, logs, ast, test, clock }) {
+  if (Array.isArray(test.features) && test.features.length > 0) {
+    const used = ast ? collectAsyncFeatures(ast) : new Set();
+    for (const feature of test.features) {
+      assert.ok(used.has(feature), `Expected asynchronous code to use ${feature.replace(":", " ")}`);
+    }
+  }
+
+  // Each step advances the fake clock, then checks what was printed since the previous step
+  await clock.flush();
+  let seen = 0;
+  for (const step of test.timeline || []) {
+    if (step.advance) await clock.tick(step.advance);
+    const fresh = logs.slice(seen);
+    assertInOrder(fresh, step.expectedOutput || [], `after ${clock.now}ms`);
+    seen = logs.length;
+  }
+
+  if (Array.isArray(test.expectedOrder)) {
+    await clock.runAll();
+    assertInOrder(logs, test.expectedOrder, "once all timers ran");
+  }
+
+  for (const call of test.calls || []) {
+    const fn = readBinding(window, call.functionName).value;
+    assert.ok(typeof fn === "function", `Function ${call.functionName} not defined`);
+
+    let settled = null;
+    try {
+      window.Promise.resolve(fn(...(call.args || []))).then(
+        value => { settled = { value }; },
+        error => { settled = { error }; }
+      );
+    } catch (error) {
+      settled = { error };
+    }
+    await clock.runAll();
+
+    const label = `${call.functionName}(${(call.args || []).map(a => JSON.stringify(a)).join(", ")})`;
+    assert.ok(settled, `${label} never settled`);
+    if ("rejects" in call) {
+      assert.ok(settled.error !== undefined, `${label} should reject, but resolved with ${JSON.stringify(settled.value)}`);
+      const message = settled.error && settled.error.message !== undefined ? settled.error.message : String(settled.error);
+      if (call.rejects) assert.strictEqual(message, call.rejects, `${label} rejected with "${message}", expected "${call.rejects}"`);
+    } else {
+      assert.ok(!("error" in settled), `${label} rejected: ${settled.error && settled.error.message}`);
+      if ("resolves" in call) {
+        assert.strictEqual(JSON.stringify(settled.value), JSON.stringify(call.resolves),
+          `${label} resolved to ${JSON.stringify(settled.value)}, expected ${JSON.stringify(call.resolves)}`);
+      }
+    }
+  }
+}
+
+async function runBranchTest({ window, logs, test, missing }) {
+  assert.deepStrictEqual(missing, [],
+    `${missing.join(", ")} must be declared with a value at the top level so it can be varied`);
+
+  const output = logs.filter(line => !line.startsWith("__RUNTIME_ERROR__"));
+  assertInOrder(output, test.expectedOutput || [], `when ${test.condition} is ${test.branch}`);
+  for (const line of test.unexpectedOutput || []) {
+    assert.ok(!output.some(printed => printed.trim() === line.trim()),
+      `Did not expect "${line}" when ${test.condition} is ${test.branch}, got ${JSON.stringify(output)}`);
+  }
+
+  for (const [name, expected] of Object.entries(test.expectedValues || {})) {
+    const read = readBinding(window, name);
+    assert.ok(read.ok, `Variable ${name} not found`);
+    assert.strictEqual(JSON.stringify(read.value), JSON.stringify(expected),
+      `Expected ${name} to be ${JSON.stringify(expected)} when ${test.condition} is ${test.branch}`);
+  }
+}
+
+async function runStyleTest({ window, document, test }) {
+  // e.g. click #toggle first, then check #panel
+  for (const action of test.actions || []) {
+    const target = document.querySelector(action.selector);
+    assert.ok(target, `Element ${action.selector} not found to ${action.event}`);
+    target.dispatchEvent(new window.Event(action.event, { bubbles: true }));
+    await new Promise(r => setTimeout(r, 10));
+  }
+  const when = (test.actions || []).map(a => ` after ${a.event} on ${a.selector}`).join(",");
+
+  // The page has a fixed size, so media-query rules are checked as declared
+  const el = test.media ? null : document.querySelector(test.selector);
+  let actual;
+  if (el) {
+    actual = window.getComputedStyle(el).getPropertyValue(test.property);
+  } else {
+    assert.ok(!(test.actions || []).length, `Element ${test.selector} not found`);
+    actual = findDeclaredStyle(document, test.selector, test.property, test.media);
+    assert.ok(actual, `No ${test.property} declared for ${test.selector}${test.media ? ` in @media ${test.media}` : ""}`);
+  }
+
+  assert.ok(cssValuesEqual(test.property, actual, test.expected),
+    `${test.selector} ${test.property} expected "${test.expected}"${when}, got "${actual || "(not set)"}"`);
+}
+
+// Value of the last rule for exactly this selector (inside the given media query, if any)
+function findDeclaredStyle(document, selector, property, media) {
+  const squash = (text) => String(text || "").replace(/\s+/g, "").toLowerCase();
+  let value = null;
+  const visit = (rules, query) => {
+    for (const rule of rules) {
+      if (rule.media && rule.cssRules) {
+        visit(rule.cssRules, query ? `${query} and ${rule.media.mediaText}` : rule.media.mediaText);
+      } else if (rule.selectorText && squash(query) === squash(media)) {
+        const selectors = rule.selectorText.split(",").map(squash);
+        const declared = rule.style.getPropertyValue(property);
+        if (selectors.includes(squash(selector)) && declared) value = declared;
+      }
+    }
+  };
+  for (const sheet of document.styleSheets) visit(sheet.cssRules, null);
+  return value;
+}
+
+// Each expected line must appear, in this order, somewhere in the actual output
+function assertInOrder(actual, expected, when) {
+  let index = 0;
+  for (const line of expected) {
+    while (index < actual.length && !actual[index].includes(line)) index++;
+    assert.ok(index < actual.length,
+      `Expected "${line}" ${when} in order ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    index++;
+  }
+}
+
+function collectAsyncFeatures(ast) {
+  const used = new Set();
+  traverse.default(ast, {
+    noScope: true,
+    Function(path) {
+      if (path.node.async) used.add("async_function");
+    },
+    AwaitExpression() {
+      used.add("await");
+    },
+    NewExpression(path) {
+      if (path.node.callee.name === "Promise") used.add("promise");
+    },
+    CallExpression(path) {
+      const { callee } = path.node;
+      const name = callee.type === "Identifier" ? callee.name : callee.property && callee.property.name;
+      if (name === "setTimeout" || name === "setInterval") used.add(`timer:${name}`);
+      if (callee.type === "MemberExpression" && ["then", "catch", "finally"].includes(name)) used.add("promise_chain");
+    }
+  });
+  return used;
+}
+
+function findAccessor(proto, name) {
+  for (let p = proto; p; p = Object.getPrototypeOf(p)) {
+    const descriptor = Object.getOwnPropertyDescriptor(p, name);
+    if (descriptor) return descriptor;
+  }
+  return undefined;
+}
+
+// Structural equality for JSON-like values; the page's arrays and objects come
+// from another realm, so deepStrictEqual would compare their prototypes too
+function sameValue(expected, actual) {
+  if (expected === null || typeof expected !== "object") return expected === actual;
+  if (actual === null || typeof actual !== "object" || Array.isArray(expected) !== Array.isArray(actual)) return false;
+  const keys = Object.keys(expected);
+  return keys.length === Object.keys(actual).length && keys.every(key => sameValue(expected[key], actual[key]));
+}